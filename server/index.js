@@ -0,0 +1,63 @@
+import { createServer } from 'node:http';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+import { createProxyHandler, proxyConfigFromEnv, proxyTokenFromEnv } from './proxy.js';
+
+// --- Standalone Server ---
+// Serves the built app from dist/ together with the AI proxy, for shared deployments:
+//   npm run build && NAYA_AI_API_KEY=... NAYA_PROXY_TOKEN=... npm run serve
+
+const PORT = Number(process.env.PORT) || 8787;
+const DIST_DIR = path.resolve('dist');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json',
+};
+
+// Static files from dist/, falling back to index.html for client-side routes.
+const serveStatic = async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Malformed URL.');
+    return;
+  }
+  let filePath = path.join(DIST_DIR, path.normalize(decodedPath));
+  if (!filePath.startsWith(DIST_DIR + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  const info = await stat(filePath).catch(() => null);
+  if (!info?.isFile()) filePath = path.join(DIST_DIR, 'index.html');
+  const indexInfo = await stat(filePath).catch(() => null);
+  if (!indexInfo) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Run `npm run build` first.');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  createReadStream(filePath).pipe(res);
+};
+
+const config = proxyConfigFromEnv();
+const proxy = createProxyHandler({ config, token: proxyTokenFromEnv() });
+
+createServer((req, res) => {
+  proxy(req, res, () => {
+    serveStatic(req, res).catch((err) => {
+      console.error(err);
+      if (!res.headersSent) res.writeHead(500).end();
+    });
+  });
+}).listen(PORT, () => {
+  console.log(`Naya Daur proxy on http://localhost:${PORT} (${config.provider}, ${config.model})`);
+});
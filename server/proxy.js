@@ -0,0 +1,248 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+import { fetchGroundedJson, generateImages, validateAiConfig } from '../src/api.js';
+import { getProvider, resolveAiConfig } from '../src/providers.js';
+
+// --- AI Proxy ---
+// Runs the grounded-JSON pipeline and image generation server-side, so the API key never
+// reaches the browser. Mounted as Vite dev/preview middleware and by the standalone server.
+//   POST /api/grounded-json { prompt, schema }  -> NDJSON stream of progress events
+//   POST /api/structured-json { prompt, schema } -> { text, usage } (one call, no research)
+//   POST /api/images        { prompt, sampleCount } -> { images }
+//   GET  /api/health                              -> { provider, model }
+// Every request must carry the shared access token (NAYA_PROXY_TOKEN) as a bearer token;
+// the proxy refuses to start without one. Every call is appended to logs/usage.jsonl, keyed
+// by the X-Naya-User header (a self-reported name, not an identity check).
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_SAMPLE_COUNT = 4;
+
+/**
+ * The server-side provider config, from NAYA_AI_* variables (never exposed to the client).
+ */
+export const proxyConfigFromEnv = (env = process.env) => {
+  if (env.NAYA_AI_PROVIDER === 'proxy') {
+    throw new Error('NAYA_AI_PROVIDER must name a real provider, not the proxy itself.');
+  }
+  return resolveAiConfig({
+    provider: env.NAYA_AI_PROVIDER,
+    apiKey: env.NAYA_AI_API_KEY,
+    baseUrl: env.NAYA_AI_BASE_URL,
+    model: env.NAYA_AI_MODEL,
+    imageModel: env.NAYA_AI_IMAGE_MODEL,
+  });
+};
+
+/**
+ * The shared access token clients must send, from NAYA_PROXY_TOKEN.
+ */
+export const proxyTokenFromEnv = (env = process.env) => {
+  const token = (env.NAYA_PROXY_TOKEN || '').trim();
+  if (!token) {
+    throw new Error('NAYA_PROXY_TOKEN must be set, so only people with the token can spend the server\'s API key.');
+  }
+  return token;
+};
+
+// Hashing first gives equal-length buffers, so the comparison takes the same time for any guess.
+const digest = (text) => createHash('sha256').update(text).digest();
+
+const isAuthorized = (req, token) => {
+  const [scheme, credential = ''] = String(req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && timingSafeEqual(digest(credential), digest(token));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(Object.assign(new Error('Request body must be JSON.'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Capped for the log line; requests without the header are logged as "anonymous".
+const userFrom = (req) => {
+  const user = String(req.headers['x-naya-user'] || '').trim().slice(0, 120);
+  return user || 'anonymous';
+};
+
+const createUsageLog = (logDir) => async (entry) => {
+  try {
+    await mkdir(logDir, { recursive: true });
+    await appendFile(path.join(logDir, 'usage.jsonl'), `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+  } catch (err) {
+    console.error('Could not write usage log:', err);
+  }
+};
+
+/**
+ * Connect-style middleware: (req, res, next). Requests outside /api/ are passed on.
+ */
+export const createProxyHandler = ({ config = proxyConfigFromEnv(), token = proxyTokenFromEnv(), logDir = path.resolve('logs') } = {}) => {
+  if (!token) throw new Error('The proxy needs an access token.');
+  const logUsage = createUsageLog(logDir);
+
+  const handleGroundedJson = async (req, res, body, signal) => {
+    if (typeof body.prompt !== 'string' || !body.schema) {
+      sendJson(res, 400, { error: { message: 'prompt and schema are required.' } });
+      return { status: 400 };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+    const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+    // Research text is sent as appended deltas; a full "text" event replaces it (e.g. once
+    // citation markers have been inserted).
+    let sentText = '';
+    const sendText = (text) => {
+      send(text.startsWith(sentText) ? { type: 'delta', text: text.slice(sentText.length) } : { type: 'text', text });
+      sentText = text;
+    };
+    // Token counts are passed on to the browser's usage ledger and totalled for the log.
+    let totalTokens = 0;
+    const sendUsage = (usage) => {
+      totalTokens += usage.totalTokens || 0;
+      send({ type: 'usage', usage });
+    };
+    try {
+      const data = await fetchGroundedJson(config, body.prompt, body.schema, (message) => send({ type: 'status', message }), {
+        signal,
+        onGroundedText: sendText,
+        onUsage: sendUsage,
+      });
+      send({ type: 'result', data });
+      return { status: 200, promptChars: body.prompt.length, totalTokens };
+    } catch (err) {
+      if (err.name !== 'AbortError') send({ type: 'error', message: err.message });
+      return { status: err.name === 'AbortError' ? 499 : 502, promptChars: body.prompt.length, totalTokens, error: err.message };
+    } finally {
+      res.end();
+    }
+  };
+
+  const handleStructuredJson = async (req, res, body, signal) => {
+    if (typeof body.prompt !== 'string' || !body.schema) {
+      sendJson(res, 400, { error: { message: 'prompt and schema are required.' } });
+      return { status: 400 };
+    }
+    try {
+      const { text, usage } = await getProvider(config).structuredJson(config, body.prompt, body.schema, { signal });
+      sendJson(res, 200, { text, usage });
+      return { status: 200, promptChars: body.prompt.length, totalTokens: usage?.totalTokens || 0 };
+    } catch (err) {
+      const status = err.status || 502;
+      if (!res.headersSent) sendJson(res, status, { error: { message: err.message } });
+      return { status, promptChars: body.prompt.length, error: err.message };
+    }
+  };
+
+  const handleImages = async (req, res, body, signal) => {
+    if (typeof body.prompt !== 'string') {
+      sendJson(res, 400, { error: { message: 'prompt is required.' } });
+      return { status: 400 };
+    }
+    const sampleCount = Math.min(Math.max(Number(body.sampleCount) || 1, 1), MAX_SAMPLE_COUNT);
+    try {
+      const images = await generateImages(config, body.prompt, sampleCount, { signal });
+      sendJson(res, 200, { images });
+      return { status: 200, promptChars: body.prompt.length, images: images.length };
+    } catch (err) {
+      const status = err.status || 502;
+      if (!res.headersSent) sendJson(res, status, { error: { message: err.message } });
+      return { status, promptChars: body.prompt.length, error: err.message };
+    }
+  };
+
+  const handleHealth = async (req, res, signal) => {
+    try {
+      await validateAiConfig(config, { signal });
+      sendJson(res, 200, { provider: config.provider, model: config.model });
+      return { status: 200 };
+    } catch (err) {
+      sendJson(res, 503, { error: { message: `Proxy is not ready: ${err.message}` } });
+      return { status: 503, error: err.message };
+    }
+  };
+
+  return async (req, res, next) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (!pathname.startsWith('/api/')) {
+      next?.();
+      return;
+    }
+
+    // Closing the browser tab (or pressing Cancel) aborts the upstream call too.
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      if (!isAuthorized(req, token)) {
+        outcome = { status: 401, error: 'Missing or invalid access token.' };
+        sendJson(res, 401, { error: { message: 'Missing or invalid access token.' } });
+      } else if (req.method === 'GET' && pathname === '/api/health') {
+        outcome = await handleHealth(req, res, controller.signal);
+      } else if (req.method === 'POST' && pathname === '/api/grounded-json') {
+        outcome = await handleGroundedJson(req, res, await readJsonBody(req), controller.signal);
+      } else if (req.method === 'POST' && pathname === '/api/structured-json') {
+        outcome = await handleStructuredJson(req, res, await readJsonBody(req), controller.signal);
+      } else if (req.method === 'POST' && pathname === '/api/images') {
+        outcome = await handleImages(req, res, await readJsonBody(req), controller.signal);
+      } else {
+        sendJson(res, 404, { error: { message: 'Not found.' } });
+        return;
+      }
+    } catch (err) {
+      outcome = { status: err.status || 500, error: err.message };
+      if (!res.headersSent) sendJson(res, outcome.status, { error: { message: err.message } });
+    }
+
+    await logUsage({
+      user: userFrom(req),
+      endpoint: pathname,
+      provider: config.provider,
+      model: pathname === '/api/images' ? config.imageModel : config.model,
+      durationMs: Date.now() - startedAt,
+      ...outcome,
+    });
+  };
+};
+
+/**
+ * Vite plugin mounting the proxy on the dev and preview servers. It is only mounted when
+ * NAYA_AI_PROVIDER or NAYA_AI_API_KEY is set, so plain `npm run dev` is unchanged; once it
+ * is, NAYA_PROXY_TOKEN is required too.
+ */
+export const nayaProxyPlugin = (env = process.env) => {
+  const enabled = Boolean(env.NAYA_AI_PROVIDER || env.NAYA_AI_API_KEY);
+  const mount = (server) => {
+    if (enabled) server.middlewares.use(createProxyHandler({ config: proxyConfigFromEnv(env), token: proxyTokenFromEnv(env) }));
+  };
+  return {
+    name: 'naya-daur-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
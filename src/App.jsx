@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
 // Import charting library (recharts)
 import {
@@ -41,9 +41,78 @@ import {
   Smile,
   Meh,
   Frown,
-  Users // For Persona Architect
+  Users, // For Persona Architect
+  History,
+  Pencil,
+  Copy,
+  Trash2,
+  Plus,
+  Building2,
+  FileDown,
+  Presentation,
+  Link2,
+  Lock,
+  RefreshCw,
+  ChartColumn,
+  Coins,
+  Activity,
+  Menu,
+  LockOpen,
+  MessageCircle,
+  Send
 } from 'lucide-react';
 
+import { fetchGroundedJson, fetchStructuredJson, generateImages, validateAiConfig } from './api.js';
+import { PROVIDERS, DEFAULT_AI_CONFIG, resolveAiConfig, isAiConfigured, isDemoMode, getProvider } from './providers.js';
+import {
+  KEY_STORAGE_OPTIONS,
+  MIN_PASSPHRASE_LENGTH,
+  maskKey,
+  loadSessionConfig,
+  loadEncryptedConfig,
+  unlockEncryptedConfig,
+  storeAiConfig,
+  passphraseError,
+  forgetStoredKey
+} from './keyVault.js';
+import {
+  TOOL_LABELS,
+  listProjects,
+  createProject,
+  getActiveProject,
+  setActiveProjectId,
+  listRuns,
+  getRun,
+  saveRun,
+  updateRun,
+  renameRun,
+  duplicateRun,
+  deleteRun
+} from './workspace.js';
+import {
+  loadBrandProfile,
+  saveBrandProfile,
+  prefillInputs,
+  brandContextPrompt,
+  splitList,
+  joinList,
+  splitMarkets,
+  joinMarkets
+} from './brandProfile.js';
+import { splitCitations, stripCitations, mergeSources } from './citations.js';
+import { recordUsage, listUsage, estimateCost } from './usageLedger.js';
+import {
+  PLANS,
+  QUOTA_NOUNS,
+  LOW_QUOTA_THRESHOLD,
+  getActivePlan,
+  setActivePlan,
+  getQuota,
+  checkQuota,
+  consumeQuota
+} from './entitlements.js';
+import { parseRoute, buildRoute, applyQueryInputs } from './router.js';
+
 /* --- New Dark/Purple AI Theme Color Palette --- */
 // Inspired by the provided image.
 const THEME_COLORS = {
@@ -63,102 +132,6 @@ const THEME_COLORS = {
 const CHART_COLORS = [THEME_COLORS.accentPrimary, THEME_COLORS.accentSecondary, THEME_COLORS.accentTertiary, '#8884d8'];
 
 
-// --- Helper Functions ---
-
-/**
- * A wrapper for fetch that includes exponential backoff.
- */
-const fetchWithBackoff = async (url, options, retries = 3, delay = 1000) => {
-  try {
-    const response = await fetch(url, options);
-    if (!response.ok) {
-      if (response.status === 429 && retries > 0) {
-        // Throttled, retry with backoff
-        await new Promise(res => setTimeout(res, delay));
-        return fetchWithBackoff(url, options, retries - 1, delay * 2);
-      }
-      
-      let errorBody = null;
-      let detailedMessage = response.statusText;
-      try {
-        errorBody = await response.json();
-        detailedMessage = errorBody?.error?.message || detailedMessage;
-      } catch (e) {
-        // Ignore if response body is not JSON or errors
-      }
-      
-      console.error("API Error Response Body:", errorBody); // Log the full error
-      throw new Error(`API Error: ${response.status} ${detailedMessage}`);
-    }
-    return response.json();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(res => setTimeout(res, delay));
-      return fetchWithBackoff(url, options, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// 2-Step Fetch Function: Grounded Text -> JSON Parsing
-const fetchGroundedJson = async (apiKey, textPrompt, jsonSchema, setLoadingMessage) => {
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-
-  // Step 1: Get grounded text data using Google Search
-  setLoadingMessage("Step 1/2: Searching for grounded insights...");
-  const searchPayload = {
-    contents: [{ parts: [{ text: textPrompt }] }],
-    tools: [{ "google_search": {} }],
-  };
-
-  const searchData = await fetchWithBackoff(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(searchPayload),
-  });
-
-  const groundedText = searchData.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!groundedText) {
-    throw new Error('Step 1 Failed: No content returned from analysis.');
-  }
-
-  // Step 2: Parse the grounded text into the required JSON schema
-  setLoadingMessage("Step 2/2: Analyzing and structuring data...");
-  
-  const parseJsonPrompt = `
-    Parse the following market analysis text and convert it into a valid JSON object matching the provided schema.
-
-    TEXT TO PARSE:
-    ---
-    ${groundedText}
-    ---
-
-    Respond ONLY with the valid JSON object.
-  `;
-
-  const jsonPayload = {
-    contents: [{ parts: [{ text: parseJsonPrompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: jsonSchema
-    }
-  };
-
-  const jsonData = await fetchWithBackoff(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(jsonPayload),
-  });
-
-  const jsonText = jsonData.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (jsonText) {
-    return JSON.parse(jsonText);
-  } else {
-    throw new Error('Step 2 Failed: No JSON content returned from parsing.');
-  }
-};
-
-
 // --- Reusable UI Components (New Dark Theme) ---
 
 const StyledInput = React.forwardRef(({ className, ...props }, ref) => (
@@ -175,6 +148,21 @@ const StyledInput = React.forwardRef(({ className, ...props }, ref) => (
   />
 ));
 
+const StyledSelect = ({ className, children, ...props }) => (
+  <select
+    className={`w-full px-4 py-3 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-transparent ${className}`}
+    style={{
+      borderColor: THEME_COLORS.border,
+      backgroundColor: THEME_COLORS.background,
+      color: THEME_COLORS.textPrimary,
+      '--tw-ring-color': THEME_COLORS.accentPrimary
+    }}
+    {...props}
+  >
+    {children}
+  </select>
+);
+
 const StyledButton = ({ children, className, variant = 'primary', isLoading = false, ...props }) => {
   const baseStyle = 'px-6 py-3 rounded-lg font-semibold shadow-md transition-all duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-offset-2 flex items-center justify-center';
   const variants = {
@@ -210,12 +198,12 @@ const StyledButton = ({ children, className, variant = 'primary', isLoading = fa
   );
 };
 
-const Modal = ({ children, isOpen, onClose }) => {
+const Modal = ({ children, isOpen, onClose, maxWidth = 'max-w-lg' }) => {
   if (!isOpen) return null;
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 backdrop-blur-sm">
       <div 
-        className="rounded-2xl shadow-2xl p-8 max-w-lg w-full m-4 relative border"
+        className={`rounded-2xl shadow-2xl p-8 ${maxWidth} w-full m-4 relative border`}
         style={{
           backgroundColor: THEME_COLORS.cardBackground,
           borderColor: THEME_COLORS.border
@@ -257,8 +245,9 @@ const LoadingSpinner = ({ size = 24, className = "" }) => (
   />
 );
 
-const ChartContainer = ({ title, children, height = 300 }) => ( // Added height prop
+const ChartContainer = ({ title, children, height = 300, footer }) => ( // Added height prop
   <div 
+    data-export-chart={title} // Picked up by the PDF export
     className="rounded-xl shadow-lg p-6 border"
     style={{ 
       backgroundColor: THEME_COLORS.cardBackground,
@@ -285,6 +274,7 @@ const ChartContainer = ({ title, children, height = 300 }) => ( // Added height
         })}
       </ResponsiveContainer>
     </div>
+    {footer}
   </div>
 );
 
@@ -309,14 +299,323 @@ const StatCard = ({ title, value, icon, bgColor }) => (
   </div>
 );
 
+// Text with [n] citation markers, rendered as superscript links to the run's sources.
+// Markers that don't match a known source are dropped.
+const CitedText = ({ text, sources = [] }) => (
+  <>
+    {splitCitations(text).map((part, i) => {
+      if (typeof part === 'string') return <React.Fragment key={i}>{part}</React.Fragment>;
+      const cited = part.ids.map((id) => sources.find((source) => source.id === id)).filter(Boolean);
+      return (
+        <sup key={i} className="ml-0.5 whitespace-nowrap">
+          {cited.map((source) => (
+            <a
+              key={source.id}
+              href={source.uri}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={source.title}
+              className="font-semibold hover:underline"
+              style={{ color: THEME_COLORS.accentPrimary }}
+            >
+              [{source.id}]
+            </a>
+          ))}
+        </sup>
+      );
+    })}
+  </>
+);
+
+// Numbered list of the web sources behind a grounded result.
+const SourcesList = ({ sources = [] }) => {
+  if (sources.length === 0) return null;
+  return (
+    <div
+      className="rounded-xl shadow-lg p-8 border"
+      style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+    >
+      <h3 className="text-2xl font-semibold mb-4 flex items-center" style={{ color: THEME_COLORS.textPrimary }}>
+        <Link2 size={22} className="mr-2" style={{ color: THEME_COLORS.accentPrimary }} />
+        Sources
+      </h3>
+      <ol className="space-y-2 text-sm">
+        {sources.map((source) => (
+          <li key={source.id} className="flex" style={{ color: THEME_COLORS.textSecondary }}>
+            <span className="w-8 shrink-0 font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>[{source.id}]</span>
+            <a href={source.uri} target="_blank" rel="noopener noreferrer" className="hover:underline break-all">
+              {source.title}
+            </a>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+// Saves a finished run to the active project. A storage failure shouldn't lose the on-screen result.
+const persistRun = async (runData, onRunSaved, onError) => {
+  if (!runData.projectId) return null;
+  try {
+    const run = await saveRun(runData);
+    onRunSaved(run);
+    return run;
+  } catch (err) {
+    console.error(err);
+    onError('Result could not be saved to your workspace.');
+    return null;
+  }
+};
+
+// Runs an AI request and tracks its progress: the step message, the research notes as they
+// stream in, and an abort handle. Unmounting the tab cancels whatever is still in flight, so
+// no state is set on a tab that is gone. Token and image usage is recorded in the usage
+// ledger against the given tool and project.
+const useAiRequest = ({ tool, projectId }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadingMessage, setLoadingMessage] = useState('');
+  const [researchNotes, setResearchNotes] = useState('');
+  const [startedAt, setStartedAt] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // task receives (setLoadingMessage, { signal, onGroundedText, onUsage }), matching
+  // fetchGroundedJson; image calls only need the signal and onUsage.
+  const run = useCallback(async (task) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsLoading(true);
+    setResearchNotes('');
+    setStartedAt(Date.now());
+    const onUsage = (usage) => recordUsage({ ...usage, tool, projectId });
+    try {
+      return await task(setLoadingMessage, { signal: controller.signal, onGroundedText: setResearchNotes, onUsage });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsLoading(false);
+        setLoadingMessage('');
+      }
+    }
+  }, [tool, projectId]);
+
+  const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+  return { isLoading, loadingMessage, researchNotes, startedAt, run, cancel };
+};
+
+const isAbortError = (err) => err?.name === 'AbortError';
+
+// The tool's remaining runs under the active plan. check() explains a block (or overage) through
+// onError; consume() counts a finished run. Demo mode is free, so it is neither checked nor counted.
+const usePlanQuota = (tool, ai, onError) => {
+  const [quota, setQuota] = useState(() => getQuota(tool));
+  const isMetered = !isDemoMode(ai);
+
+  const check = () => {
+    if (!isMetered) return true;
+    const { allowed, message } = checkQuota(tool);
+    if (message) onError(message);
+    return allowed;
+  };
+
+  const consume = () => {
+    if (isMetered) setQuota(consumeQuota(tool));
+  };
+
+  return { quota: isMetered ? quota : null, check, consume };
+};
+
+// "7 left" on a generate button; nothing for unmetered tools.
+const QuotaHint = ({ quota }) => {
+  if (quota?.limit == null) return null;
+  const label = quota.remaining > 0 ? `${quota.remaining} left` : 'limit reached';
+  return (
+    <span
+      className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold"
+      title={`${quota.used} of ${quota.limit} used this month on the ${quota.planName} plan`}
+      style={{
+        backgroundColor: quota.remaining <= LOW_QUOTA_THRESHOLD ? THEME_COLORS.error : 'rgba(255, 255, 255, 0.2)',
+        color: 'white',
+      }}
+    >
+      {label}
+    </span>
+  );
+};
+
+const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Progress panel for a running request: step, elapsed time, cancel and any live research notes.
+const RequestProgress = ({ request, fallbackMessage }) => {
+  const [now, setNow] = useState(Date.now);
+  const [showNotes, setShowNotes] = useState(true);
+  const notesRef = useRef(null);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Keep the newest notes in view while they stream in.
+  useEffect(() => {
+    if (notesRef.current) notesRef.current.scrollTop = notesRef.current.scrollHeight;
+  }, [request.researchNotes]);
+
+  return (
+    <div
+      className="rounded-xl shadow-lg p-6 border space-y-4"
+      style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+    >
+      <div className="flex flex-wrap items-center gap-4">
+        <LoadingSpinner size={32} />
+        <p className="flex-1 text-lg" style={{ color: THEME_COLORS.textSecondary }}>
+          {request.loadingMessage || fallbackMessage}
+        </p>
+        <span className="font-mono text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+          {formatElapsed(now - request.startedAt)}
+        </span>
+        <button
+          onClick={request.cancel}
+          className="flex items-center px-4 py-2 rounded-lg border text-sm font-semibold"
+          style={{ borderColor: THEME_COLORS.border, color: THEME_COLORS.textPrimary }}
+        >
+          <X size={16} className="mr-1" /> Cancel
+        </button>
+      </div>
+
+      {request.researchNotes && (
+        <div>
+          <button
+            onClick={() => setShowNotes((prev) => !prev)}
+            className="flex items-center text-sm font-semibold"
+            style={{ color: THEME_COLORS.accentPrimary }}
+          >
+            {showNotes ? <ChevronUp size={16} className="mr-1" /> : <ChevronDown size={16} className="mr-1" />}
+            Research notes
+          </button>
+          {showNotes && (
+            <div
+              ref={notesRef}
+              className="mt-2 p-4 rounded-lg max-h-64 overflow-y-auto whitespace-pre-wrap text-sm"
+              style={{ backgroundColor: THEME_COLORS.background, color: THEME_COLORS.textSecondary }}
+            >
+              {request.researchNotes}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatAge = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// Shown on results served from the response cache, with a way to fetch them fresh.
+const CachedBadge = ({ cachedAt, onRefresh, disabled }) => {
+  if (!cachedAt) return null;
+  return (
+    <div className="flex items-center text-xs font-semibold">
+      <span
+        className="px-2 py-1 rounded-full"
+        title={`Served from cache, first fetched ${new Date(cachedAt).toLocaleString()}`}
+        style={{ backgroundColor: `${THEME_COLORS.accentPrimary}30`, color: THEME_COLORS.accentPrimary }}
+      >
+        cached • {formatAge(cachedAt)}
+      </span>
+      <button
+        onClick={onRefresh}
+        disabled={disabled}
+        className="ml-2 flex items-center px-2 py-1 rounded-full border"
+        style={{ borderColor: THEME_COLORS.border, color: THEME_COLORS.textSecondary }}
+      >
+        <RefreshCw size={12} className="mr-1" /> Refresh
+      </button>
+    </div>
+  );
+};
+
 // --- Tab Components ---
 
 // --- Tab 1: Welcome ---
-const WelcomeTab = ({ onApiKeySave }) => {
-  const [key, setKey] = useState('');
+const WelcomeTab = ({ aiConfig, onAiConfigSave, encryptedConfig, onForgetKey }) => {
+  const [config, setConfig] = useState(aiConfig || DEFAULT_AI_CONFIG);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [keyStorage, setKeyStorage] = useState('memory');
+  const [passphrase, setPassphrase] = useState('');
+  const [unlockPassphrase, setUnlockPassphrase] = useState('');
+  const [isValidating, setIsValidating] = useState(false);
+  const [formError, setFormError] = useState('');
+  const provider = PROVIDERS[config.provider];
+  // An encrypted key is waiting to be unlocked when nothing usable is active yet.
+  const isKeyLocked = Boolean(encryptedConfig) && !aiConfig?.apiKey;
 
-  const handleSave = () => {
-    onApiKeySave(key);
+  const handleConfigChange = (e) => {
+    const { name, value } = e.target;
+    setConfig((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Switching provider resets the endpoint and models to that provider's defaults.
+  const handleProviderChange = (e) => {
+    setConfig(resolveAiConfig({ provider: e.target.value }));
+  };
+
+  // Demo mode swaps in the offline mock provider; turning it off returns to a live provider.
+  const handleDemoToggle = (e) => {
+    if (e.target.checked) {
+      setConfig(resolveAiConfig({ provider: 'mock' }));
+    } else {
+      setConfig(isDemoMode(DEFAULT_AI_CONFIG) ? resolveAiConfig({}) : DEFAULT_AI_CONFIG);
+    }
+  };
+
+  // The key is only activated (and stored) once the provider has accepted it.
+  const handleSave = async () => {
+    setFormError('');
+    // Checked before the network validation, which is slow and may spend a request.
+    const storesKey = !isDemoMode(config) && provider.requiresKey;
+    const storageError = storesKey ? passphraseError(keyStorage, passphrase) : null;
+    if (storageError) {
+      setFormError(storageError);
+      return;
+    }
+    setIsValidating(true);
+    try {
+      const validConfig = await validateAiConfig(config);
+      if (storesKey) {
+        await storeAiConfig(validConfig, keyStorage, passphrase);
+      }
+      onAiConfigSave(validConfig);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setFormError('');
+    setIsValidating(true);
+    try {
+      const unlocked = await unlockEncryptedConfig(unlockPassphrase);
+      onAiConfigSave(await validateAiConfig(unlocked));
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsValidating(false);
+    }
   };
 
   return (
@@ -345,16 +644,139 @@ const WelcomeTab = ({ onApiKeySave }) => {
         >
           Activate Your Dashboard
         </h2>
-        <div className="flex items-center space-x-3">
-          <KeyRound size={24} style={{ color: THEME_COLORS.textSecondary }} />
-          <StyledInput
-            type="password"
-            placeholder="Enter your Gemini API Key"
-            value={key}
-            onChange={(e) => setKey(e.target.value)}
+        {isKeyLocked && (
+          <div className="mb-6 p-4 rounded-lg border space-y-3" style={{ borderColor: THEME_COLORS.border, backgroundColor: THEME_COLORS.background }}>
+            <p className="flex items-center text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+              <Lock size={16} className="mr-2" style={{ color: THEME_COLORS.accentPrimary }} />
+              Saved {PROVIDERS[encryptedConfig.config?.provider]?.label || 'API'} key {encryptedConfig.maskedKey} is locked.
+            </p>
+            <div className="flex items-center space-x-3">
+              <StyledInput
+                type="password"
+                placeholder="Passphrase"
+                value={unlockPassphrase}
+                onChange={(e) => setUnlockPassphrase(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
+              />
+              <StyledButton onClick={handleUnlock} isLoading={isValidating} disabled={!unlockPassphrase}>
+                Unlock
+              </StyledButton>
+            </div>
+            <button type="button" onClick={onForgetKey} className="text-sm underline" style={{ color: THEME_COLORS.textSecondary }}>
+              Forget saved key
+            </button>
+          </div>
+        )}
+        <label className="flex items-center mb-6 cursor-pointer" style={{ color: THEME_COLORS.textSecondary }}>
+          <input
+            type="checkbox"
+            checked={isDemoMode(config)}
+            onChange={handleDemoToggle}
+            className="mr-3 w-4 h-4"
+            style={{ accentColor: THEME_COLORS.accentPrimary }}
           />
-        </div>
-        <StyledButton onClick={handleSave} className="w-full mt-4" isLoading={false}>
+          Demo mode — use offline sample data (no API key or network needed)
+        </label>
+        {!isDemoMode(config) && (
+          <>
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>AI Provider</label>
+              <StyledSelect name="provider" value={config.provider} onChange={handleProviderChange}>
+                {Object.values(PROVIDERS).filter((p) => !p.hidden).map((p) => (
+                  <option key={p.id} value={p.id}>{p.label}</option>
+                ))}
+              </StyledSelect>
+            </div>
+            {provider.requiresKey && (
+              <div className="flex items-center space-x-3">
+                <KeyRound size={24} style={{ color: THEME_COLORS.textSecondary }} />
+                <StyledInput
+                  type="password"
+                  name="apiKey"
+                  placeholder={`Enter your ${provider.label} ${provider.keyLabel || 'API Key'}`}
+                  value={config.apiKey}
+                  onChange={handleConfigChange}
+                />
+              </div>
+            )}
+            {provider.serverManaged && (
+              <div>
+                <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Your name or email</label>
+                <StyledInput name="user" value={config.user || ''} onChange={handleConfigChange} placeholder="Used for the server's usage log" />
+                <p className="text-sm mt-2" style={{ color: THEME_COLORS.textSecondary }}>
+                  The API key stays on the server; this browser only sends prompts.
+                </p>
+              </div>
+            )}
+            {provider.requiresKey && (
+              <fieldset className="mt-4 space-y-2">
+                <legend className="text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Key storage</legend>
+                {KEY_STORAGE_OPTIONS.map((option) => (
+                  <label key={option.id} className="flex items-center text-sm cursor-pointer" style={{ color: THEME_COLORS.textSecondary }}>
+                    <input
+                      type="radio"
+                      name="keyStorage"
+                      value={option.id}
+                      checked={keyStorage === option.id}
+                      onChange={(e) => setKeyStorage(e.target.value)}
+                      className="mr-3"
+                      style={{ accentColor: THEME_COLORS.accentPrimary }}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+                {keyStorage === 'encrypted' && (
+                  <StyledInput
+                    type="password"
+                    placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                  />
+                )}
+              </fieldset>
+            )}
+            <button
+              type="button"
+              onClick={() => setShowAdvanced((prev) => !prev)}
+              className="mt-4 flex items-center text-sm"
+              style={{ color: THEME_COLORS.textSecondary, backgroundColor: 'transparent', padding: 0 }}
+            >
+              {showAdvanced ? <ChevronUp size={16} className="mr-1" /> : <ChevronDown size={16} className="mr-1" />}
+              Advanced settings
+            </button>
+            {showAdvanced && (
+              <div className="grid grid-cols-1 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Endpoint URL</label>
+                  <StyledInput name="baseUrl" value={config.baseUrl} onChange={handleConfigChange} placeholder={provider.defaults.baseUrl || 'Same origin as this app'} />
+                </div>
+                {!provider.serverManaged && (
+                  <div>
+                    <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Text Model</label>
+                    <StyledInput name="model" value={config.model} onChange={handleConfigChange} placeholder={provider.defaults.model} />
+                  </div>
+                )}
+                {provider.supportsImages && !provider.serverManaged && (
+                  <div>
+                    <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Image Model</label>
+                    <StyledInput name="imageModel" value={config.imageModel} onChange={handleConfigChange} placeholder={provider.defaults.imageModel} />
+                  </div>
+                )}
+              </div>
+            )}
+            {!provider.supportsGrounding && (
+              <p className="text-sm mt-4" style={{ color: THEME_COLORS.textSecondary }}>
+                Note: {provider.label} has no live web search, so insights come from the model's own knowledge.
+              </p>
+            )}
+          </>
+        )}
+        {formError && (
+          <p className="flex items-center text-sm mt-4" style={{ color: THEME_COLORS.error }}>
+            <AlertTriangle size={16} className="mr-2 shrink-0" /> {formError}
+          </p>
+        )}
+        <StyledButton onClick={handleSave} className="w-full mt-4" isLoading={isValidating}>
           <Check size={20} className="inline-block mr-2" />
           Save and Activate
         </StyledButton>
@@ -423,55 +845,220 @@ const WelcomeTab = ({ onApiKeySave }) => {
 // --- Tab 2: Persona Architect (NEW) ---
 
 // Define the JSON schema for Persona Architect
-const personaArchitectSchema = {
+// Dimensions each persona is scored on (0-100), for the comparison radar.
+const PERSONA_SCORE_DIMENSIONS = [
+  { key: 'priceSensitivity', label: 'Price Sensitivity' },
+  { key: 'digitalSavviness', label: 'Digital Savviness' },
+  { key: 'brandLoyalty', label: 'Brand Loyalty' },
+  { key: 'earlyAdoption', label: 'Early Adoption' },
+  { key: 'socialInfluence', label: 'Social Influence' },
+];
+
+const personaScoresPrompt = `
+      Score each persona from 0 (lowest) to 100 (highest) in scores on: ${PERSONA_SCORE_DIMENSIONS.map((d) => d.label.toLowerCase()).join(', ')}.
+      Base the scores on the research, and make them differ where the personas really differ.
+`;
+
+const personaSchema = {
   type: "OBJECT",
   properties: {
-    personas: {
+    name: { type: "STRING" },
+    age: { type: "NUMBER" },
+    role: { type: "STRING" },
+    demographic: { type: "STRING" },
+    psychographics: {
       type: "ARRAY",
-      items: {
-        type: "OBJECT",
-        properties: {
-          name: { type: "STRING" },
-          age: { type: "NUMBER" },
-          role: { type: "STRING" },
-          demographic: { type: "STRING" },
-          psychographics: {
-            type: "ARRAY",
-            items: { type: "STRING" }
-          },
-          painPoints: {
-            type: "ARRAY",
-            items: { type: "STRING" }
-          },
-          motivators: {
-            type: "ARRAY",
-            items: { type: "STRING" }
-          },
-          preferredChannels: {
-            type: "ARRAY",
-            items: { type: "STRING" }
-          },
-          keyMessage: { type: "STRING" }
-        },
-        required: ["name", "age", "role", "demographic", "psychographics", "painPoints", "motivators", "preferredChannels", "keyMessage"]
-      }
+      items: { type: "STRING" }
+    },
+    painPoints: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    },
+    motivators: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    },
+    preferredChannels: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    },
+    keyMessage: { type: "STRING" },
+    scores: {
+      type: "OBJECT",
+      properties: Object.fromEntries(PERSONA_SCORE_DIMENSIONS.map((d) => [d.key, { type: "INTEGER", minimum: 0, maximum: 100 }])),
+      required: PERSONA_SCORE_DIMENSIONS.map((d) => d.key)
     }
   },
-  required: ["personas"]
+  required: ["name", "age", "role", "demographic", "psychographics", "painPoints", "motivators", "preferredChannels", "keyMessage", "scores"]
+};
+
+// Persona Architect settings beyond product and location. Inputs are kept as strings so a
+// link's query string can pre-fill them (see router.js).
+const PERSONA_COUNT_OPTIONS = ['1', '2', '3', '4', '5', '6', '7', '8'];
+
+const PERSONA_AUDIENCES = [
+  { id: 'b2c', label: 'B2C (consumers)' },
+  { id: 'b2b', label: 'B2B (business buyers)' },
+];
+
+const PERSONA_LANGUAGES = [
+  'English', 'Hindi', 'Marathi', 'Tamil', 'Telugu', 'Bengali', 'Gujarati', 'Kannada',
+  'Portuguese', 'Spanish', 'French', 'Bahasa Indonesia',
+];
+
+const isEnglish = (language) => !language || language === 'English';
+
+// Runs saved before these settings existed get the defaults that matched their behaviour.
+const PERSONA_SETTING_DEFAULTS = {
+  count: '3',
+  audience: 'b2c',
+  segments: '',
+  language: 'English',
+};
+
+/**
+ * The persona schema for a set of Persona Architect inputs: B2B personas describe their
+ * company and buying role, seeded personas name their segment, and non-English personas
+ * carry an English translation of their key message.
+ */
+const buildPersonaSchema = ({ audience, segments, language } = {}) => {
+  const properties = { ...personaSchema.properties };
+  const required = [...personaSchema.required];
+  if (audience === 'b2b') {
+    properties.companyProfile = { type: "STRING" };
+    properties.buyingRole = { type: "STRING" };
+    required.push("companyProfile", "buyingRole");
+  }
+  if (splitList(segments || '').length > 0) {
+    properties.segment = { type: "STRING" };
+    required.push("segment");
+  }
+  if (!isEnglish(language)) {
+    properties.keyMessageEnglish = { type: "STRING" };
+    required.push("keyMessageEnglish");
+  }
+  return { ...personaSchema, properties, required };
+};
+
+const buildPersonaArchitectSchema = (inputs = {}) => {
+  const count = Number(inputs.count) || 3;
+  return {
+    type: "OBJECT",
+    properties: {
+      personas: {
+        type: "ARRAY",
+        items: buildPersonaSchema(inputs),
+        minItems: count,
+        maxItems: count
+      }
+    },
+    required: ["personas"]
+  };
+};
+
+// Regenerating one persona, or one field of a persona.
+const buildSinglePersonaSchema = (inputs) => ({
+  type: "OBJECT",
+  properties: { persona: buildPersonaSchema(inputs) },
+  required: ["persona"]
+});
+
+// A non-English key message is regenerated together with its English translation.
+const personaFieldSchema = (key, { language } = {}) => {
+  const schema = {
+    type: "OBJECT",
+    properties: { value: personaSchema.properties[key] },
+    required: ["value"]
+  };
+  if (key === 'keyMessage' && !isEnglish(language)) {
+    schema.properties.keyMessageEnglish = { type: "STRING" };
+    schema.required.push("keyMessageEnglish");
+  }
+  return schema;
 };
 
+// The persona fields that can be edited, locked and regenerated. A persona's `locked` array
+// lists the keys to keep whenever it is regenerated.
+const PERSONA_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'age', label: 'Age', type: 'number' },
+  { key: 'role', label: 'Role', type: 'text' },
+  { key: 'demographic', label: 'Demographic', type: 'textarea' },
+  { key: 'painPoints', label: 'Pain Points', type: 'list' },
+  { key: 'motivators', label: 'Motivators', type: 'list' },
+  { key: 'preferredChannels', label: 'Preferred Channels', type: 'list' },
+  { key: 'keyMessage', label: 'Key Message', type: 'textarea' },
+];
+
+// Lists are edited one item per line.
+const formatFieldInput = (field, value) => (field.type === 'list' ? (value || []).join('\n') : String(value ?? ''));
+
+const parseFieldInput = (field, text) => {
+  if (field.type === 'list') return text.split('\n').map((item) => item.trim()).filter(Boolean);
+  if (field.type === 'number') return Number(text) || 0;
+  return text.trim();
+};
+
+const PersonaCardAction = ({ title, onClick, disabled, children }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    title={title}
+    aria-label={title}
+    className="p-1.5 rounded-lg disabled:opacity-40"
+    style={{ color: THEME_COLORS.textSecondary, backgroundColor: 'transparent' }}
+  >
+    {children}
+  </button>
+);
+
 // New Persona Card Component
-const PersonaCard = ({ persona, index }) => (
+const PersonaCard = ({ persona, index, sources, onEdit, onRegenerate, onChat, onGeneratePortrait, isGeneratingPortrait, disabled }) => (
   <div 
-    className="rounded-xl shadow-lg p-6 border flex flex-col space-y-4"
+    className="relative rounded-xl shadow-lg p-6 border flex flex-col space-y-4"
     style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
   >
+    {onEdit && (
+      <div className="absolute top-3 right-3 flex space-x-1">
+        <PersonaCardAction title="Edit persona" onClick={onEdit} disabled={disabled}>
+          <Pencil size={16} />
+        </PersonaCardAction>
+        <PersonaCardAction
+          title="Regenerate this persona"
+          onClick={onRegenerate}
+          disabled={disabled || persona.locked?.length === PERSONA_FIELDS.length}
+        >
+          <RefreshCw size={16} />
+        </PersonaCardAction>
+        <PersonaCardAction title="Talk to this persona" onClick={onChat} disabled={disabled}>
+          <MessageCircle size={16} />
+        </PersonaCardAction>
+        <PersonaCardAction
+          title={persona.avatar ? 'Regenerate portrait' : 'Generate portrait'}
+          onClick={onGeneratePortrait}
+          disabled={disabled}
+        >
+          <ImageIcon size={16} />
+        </PersonaCardAction>
+      </div>
+    )}
     <div className="text-center">
-      <div 
-        className="w-20 h-20 rounded-full mx-auto flex items-center justify-center text-3xl font-bold text-white"
-        style={{ backgroundColor: CHART_COLORS[index % CHART_COLORS.length] }}
-      >
-        {persona.name.charAt(0)}
+      <div className="relative w-20 h-20 mx-auto">
+        {persona.avatar ? (
+          <img src={persona.avatar} alt={`Portrait of ${persona.name}`} className="w-20 h-20 rounded-full object-cover" />
+        ) : (
+          <div 
+            className="w-20 h-20 rounded-full flex items-center justify-center text-3xl font-bold text-white"
+            style={{ backgroundColor: CHART_COLORS[index % CHART_COLORS.length] }}
+          >
+            {persona.name.charAt(0)}
+          </div>
+        )}
+        {isGeneratingPortrait && (
+          <div className="absolute inset-0 rounded-full flex items-center justify-center bg-black bg-opacity-50">
+            <Loader2 size={24} className="animate-spin text-white" />
+          </div>
+        )}
       </div>
       <h3 className="text-xl font-bold mt-4" style={{ color: THEME_COLORS.textPrimary }}>
         {persona.name}, {persona.age}
@@ -479,14 +1066,41 @@ const PersonaCard = ({ persona, index }) => (
       <p className="font-medium" style={{ color: THEME_COLORS.accentPrimary }}>
         {persona.role}
       </p>
+      {persona.segment && (
+        <span
+          className="inline-block mt-2 px-2 py-0.5 rounded-full text-xs font-semibold"
+          style={{ backgroundColor: `${THEME_COLORS.accentPrimary}30`, color: THEME_COLORS.accentPrimary }}
+        >
+          {persona.segment}
+        </span>
+      )}
       <p className="text-sm mt-1" style={{ color: THEME_COLORS.textSecondary }}>
-        {persona.demographic}
+        <CitedText text={persona.demographic} sources={sources} />
       </p>
+      {persona.companyProfile && (
+        <p className="text-sm mt-1" style={{ color: THEME_COLORS.textSecondary }}>
+          <span className="font-semibold" style={{ color: THEME_COLORS.textPrimary }}>{persona.buyingRole}</span>
+          {persona.buyingRole && ' · '}
+          <CitedText text={persona.companyProfile} sources={sources} />
+        </p>
+      )}
+      {persona.locked?.length > 0 && (
+        <p className="text-xs mt-2 flex items-center justify-center" style={{ color: THEME_COLORS.accentPrimary }}>
+          <Lock size={12} className="mr-1" />
+          {PERSONA_FIELDS.filter((field) => persona.locked.includes(field.key)).map((field) => field.label).join(', ')}
+        </p>
+      )}
+      {persona.chat?.length > 0 && (
+        <p className="text-xs mt-2 flex items-center justify-center" style={{ color: THEME_COLORS.textSecondary }}>
+          <MessageCircle size={12} className="mr-1" />
+          {persona.chat.filter((message) => message.role === 'user').length} chat messages saved
+        </p>
+      )}
     </div>
     
-    <PersonaDetailList title="Pain Points" items={persona.painPoints} />
-    <PersonaDetailList title="Motivators" items={persona.motivators} />
-    <PersonaDetailList title="Preferred Channels" items={persona.preferredChannels} />
+    <PersonaDetailList title="Pain Points" items={persona.painPoints} sources={sources} />
+    <PersonaDetailList title="Motivators" items={persona.motivators} sources={sources} />
+    <PersonaDetailList title="Preferred Channels" items={persona.preferredChannels} sources={sources} />
     
     <div>
       <h4 className="font-semibold mb-2" style={{ color: THEME_COLORS.textPrimary }}>Key Message</h4>
@@ -499,56 +1113,1077 @@ const PersonaCard = ({ persona, index }) => (
       >
         {persona.keyMessage}
       </p>
+      {persona.keyMessageEnglish && (
+        <p className="text-xs mt-2 italic" style={{ color: THEME_COLORS.textSecondary }}>
+          English: {persona.keyMessageEnglish}
+        </p>
+      )}
     </div>
   </div>
 );
 
-const PersonaDetailList = ({ title, items }) => (
+const PersonaDetailList = ({ title, items, sources }) => (
   <div>
     <h4 className="font-semibold mb-2" style={{ color: THEME_COLORS.textPrimary }}>{title}</h4>
     <ul className="list-disc list-inside space-y-1">
       {items.map((item, i) => (
-        <li key={i} className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>{item}</li>
+        <li key={i} className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+          <CitedText text={item} sources={sources} />
+        </li>
       ))}
     </ul>
   </div>
 );
 
+// Inline editor for one persona. Each field can be locked, so regenerating the persona keeps
+// it, or regenerated on its own; onRegenerateField resolves with the changed persona fields
+// (or undefined), which may include ones the editor doesn't show, like keyMessageEnglish.
+const PersonaEditor = ({ persona, onSave, onCancel, onRegenerateField, disabled }) => {
+  const [texts, setTexts] = useState(() => Object.fromEntries(
+    PERSONA_FIELDS.map((field) => [field.key, formatFieldInput(field, persona[field.key])])
+  ));
+  const [locked, setLocked] = useState(persona.locked || []);
+  const [regeneratingField, setRegeneratingField] = useState(null);
+  const [relatedChanges, setRelatedChanges] = useState({});
 
-const PersonaArchitectTab = ({ apiKey, onError }) => {
-  const [inputs, setInputs] = useState({ product: '', location: '' });
-  const [isLoading, setIsLoading] = useState(false);
-  const [loadingMessage, setLoadingMessage] = useState('');
-  const [result, setResult] = useState(null);
+  const draftPersona = () => ({
+    ...persona,
+    ...relatedChanges,
+    ...Object.fromEntries(PERSONA_FIELDS.map((field) => [field.key, parseFieldInput(field, texts[field.key])])),
+    locked,
+  });
 
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setInputs((prev) => ({ ...prev, [name]: value }));
+  const toggleLock = (key) => {
+    setLocked((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
   };
-  
-  const handleGenerate = async () => {
-    if (!apiKey) {
-      onError('Please set your API Key in the Welcome tab first.');
-      return;
-    }
-    setIsLoading(true);
-    setResult(null);
 
-    const textPrompt = `
-      Act as a senior market researcher. Generate 3 distinct, deep-dive marketing personas for a company selling "${inputs.product}" in "${inputs.location}".
-      For each persona, find real, data-backed psychographics, pain points, motivations, media consumption habits, and a key persuasive message.
+  const handleRegenerateField = async (field) => {
+    setRegeneratingField(field.key);
+    try {
+      const changes = await onRegenerateField(draftPersona(), field);
+      if (changes === undefined) return;
+      const { [field.key]: value, ...related } = changes;
+      setTexts((prev) => ({ ...prev, [field.key]: formatFieldInput(field, value) }));
+      setRelatedChanges((prev) => ({ ...prev, ...related }));
+    } finally {
+      setRegeneratingField(null);
+    }
+  };
+
+  return (
+    <div
+      className="rounded-xl shadow-lg p-6 border flex flex-col space-y-4"
+      style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.accentPrimary }}
+    >
+      {PERSONA_FIELDS.map((field) => {
+        const isLocked = locked.includes(field.key);
+        const inputProps = {
+          value: texts[field.key],
+          onChange: (e) => setTexts((prev) => ({ ...prev, [field.key]: e.target.value })),
+          disabled: regeneratingField === field.key,
+        };
+        return (
+          <div key={field.key}>
+            <div className="flex items-center mb-1">
+              <label className="flex-1 text-sm font-medium" style={{ color: THEME_COLORS.textSecondary }}>
+                {field.label}{field.type === 'list' && ' (one per line)'}
+              </label>
+              <PersonaCardAction title={isLocked ? `Unlock ${field.label}` : `Lock ${field.label}`} onClick={() => toggleLock(field.key)}>
+                {isLocked
+                  ? <Lock size={14} style={{ color: THEME_COLORS.accentPrimary }} />
+                  : <LockOpen size={14} />}
+              </PersonaCardAction>
+              <PersonaCardAction
+                title={`Regenerate ${field.label}`}
+                onClick={() => handleRegenerateField(field)}
+                disabled={disabled || isLocked || regeneratingField !== null}
+              >
+                {regeneratingField === field.key ? <Loader2 size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+              </PersonaCardAction>
+            </div>
+            {field.type === 'list' || field.type === 'textarea' ? (
+              <textarea
+                {...inputProps}
+                rows={field.type === 'list' ? 3 : 2}
+                className="w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2"
+                style={{
+                  borderColor: THEME_COLORS.border,
+                  backgroundColor: THEME_COLORS.background,
+                  color: THEME_COLORS.textPrimary,
+                  '--tw-ring-color': THEME_COLORS.accentPrimary
+                }}
+              />
+            ) : (
+              <StyledInput {...inputProps} type={field.type} className="text-sm" />
+            )}
+          </div>
+        );
+      })}
+      <div className="flex space-x-3 pt-2">
+        <StyledButton onClick={() => onSave(draftPersona())} disabled={regeneratingField !== null} className="flex-1 py-2">
+          Save
+        </StyledButton>
+        <StyledButton onClick={onCancel} variant="secondary" className="flex-1 py-2">
+          Cancel
+        </StyledButton>
+      </div>
+    </div>
+  );
+};
+
+// --- Persona Comparison ---
+
+const personaColor = (index) => CHART_COLORS[index % CHART_COLORS.length];
+
+const chartTooltipProps = {
+  contentStyle: { backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border },
+  itemStyle: { color: THEME_COLORS.textPrimary },
+};
+
+// Personas side by side, one column each.
+const PersonaComparisonMatrix = ({ personas, sources }) => {
+  const rows = [
+    { label: 'Age', render: (persona) => persona.age },
+    { label: 'Role', render: (persona) => persona.role },
+    ...(personas.some((persona) => persona.segment) ? [{ label: 'Segment', render: (persona) => persona.segment }] : []),
+    { label: 'Preferred Channels', render: (persona) => persona.preferredChannels.join(', ') },
+    {
+      label: 'Motivators',
+      render: (persona) => (
+        <ul className="list-disc list-inside space-y-1">
+          {persona.motivators.map((item, i) => <li key={i}><CitedText text={item} sources={sources} /></li>)}
+        </ul>
+      ),
+    },
+  ];
+
+  return (
+    <div
+      className="rounded-xl shadow-lg p-6 border"
+      style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+    >
+      <h3 className="text-xl font-semibold mb-4" style={{ color: THEME_COLORS.textPrimary }}>Comparison Matrix</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y" style={{ divideColor: THEME_COLORS.border }}>
+          <thead style={{ backgroundColor: THEME_COLORS.background }}>
+            <tr>
+              <th scope="col" className="px-4 py-3" />
+              {personas.map((persona, index) => (
+                <th key={index} scope="col" className="px-4 py-3 text-left text-sm font-semibold" style={{ color: personaColor(index) }}>
+                  {persona.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y" style={{ divideColor: THEME_COLORS.border }}>
+            {rows.map((row) => (
+              <tr key={row.label}>
+                <th scope="row" className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider align-top whitespace-nowrap" style={{ color: THEME_COLORS.textSecondary }}>
+                  {row.label}
+                </th>
+                {personas.map((persona, index) => (
+                  <td key={index} className="px-4 py-3 text-sm align-top" style={{ color: THEME_COLORS.textPrimary }}>
+                    {row.render(persona)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// One bar per channel, stacked by the personas who use it, most shared first. Channel
+// names are matched case-insensitively.
+const channelOverlapData = (personas) => {
+  const channels = new Map();
+  personas.forEach((persona, index) => {
+    for (const channel of persona.preferredChannels) {
+      const key = channel.trim().toLowerCase();
+      if (!channels.has(key)) channels.set(key, { channel: channel.trim(), shared: 0 });
+      const row = channels.get(key);
+      if (!row[`p${index}`]) {
+        row[`p${index}`] = 1;
+        row.shared += 1;
+      }
+    }
+  });
+  return [...channels.values()].sort((a, b) => b.shared - a.shared);
+};
+
+// Each persona's scores as one radar series; keyed by position, as names may repeat.
+const personaRadarData = (personas) => PERSONA_SCORE_DIMENSIONS.map((dimension) => ({
+  subject: dimension.label,
+  ...Object.fromEntries(personas.map((persona, index) => [`p${index}`, persona.scores?.[dimension.key] ?? 0])),
+}));
+
+const PersonaComparison = ({ personas, sources }) => {
+  const overlap = useMemo(() => channelOverlapData(personas), [personas]);
+  const radar = useMemo(() => personaRadarData(personas), [personas]);
+  const hasScores = personas.some((persona) => persona.scores);
+
+  return (
+    <div className="space-y-8">
+      <PersonaComparisonMatrix personas={personas} sources={sources} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <ChartContainer title="Channel Overlap" height={Math.max(300, overlap.length * 36)}>
+          <BarChart data={overlap} layout="vertical" margin={{ left: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
+            <XAxis type="number" allowDecimals={false} stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+            <YAxis type="category" dataKey="channel" width={120} stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+            <Tooltip {...chartTooltipProps} />
+            <Legend wrapperStyle={{ color: THEME_COLORS.textSecondary }} />
+            {personas.map((persona, index) => (
+              <Bar key={index} dataKey={`p${index}`} name={persona.name} stackId="personas" fill={personaColor(index)} />
+            ))}
+          </BarChart>
+        </ChartContainer>
+
+        {hasScores ? (
+          <ChartContainer title="Persona Profiles">
+            <RadarChart cx="50%" cy="50%" outerRadius={100} data={radar}>
+              <PolarGrid stroke={THEME_COLORS.border} />
+              <PolarAngleAxis dataKey="subject" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+              <PolarRadiusAxis angle={30} domain={[0, 100]} stroke={THEME_COLORS.border} tick={{ fill: THEME_COLORS.textSecondary }} />
+              {personas.map((persona, index) => (
+                <Radar key={index} name={persona.name} dataKey={`p${index}`} stroke={personaColor(index)} fill={personaColor(index)} fillOpacity={0.2} />
+              ))}
+              <Tooltip {...chartTooltipProps} />
+              <Legend wrapperStyle={{ color: THEME_COLORS.textSecondary }} />
+            </RadarChart>
+          </ChartContainer>
+        ) : (
+          <div
+            className="rounded-xl shadow-lg p-6 border flex items-center justify-center text-center"
+            style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border, color: THEME_COLORS.textSecondary }}
+          >
+            These personas were generated before scoring was added. Regenerate them to see the radar.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Compact text description of personas, for prompts that build on Persona Architect output.
+// Citation markers are dropped, as they refer to the persona run's own sources.
+const personaPromptSummary = (personas) => personas.map((persona) => stripCitations(`
+      - ${persona.name} (${persona.age}, ${persona.role}; ${persona.demographic})
+        Pain points: ${persona.painPoints.join('; ')}
+        Motivators: ${persona.motivators.join('; ')}
+        Preferred channels: ${persona.preferredChannels.join(', ')}
+        Key message: "${persona.keyMessage}"`)).join('');
+
+// The persona fields Campaign Forge keeps in its inputs: those its prompt and deck use. Chat
+// transcripts and portraits stay in the persona run; avatarRef points back to it.
+const TARGET_PERSONA_FIELDS = ['name', 'age', 'role', 'demographic', 'painPoints', 'motivators', 'preferredChannels', 'keyMessage'];
+
+const targetPersonaSnapshot = (run, index) => ({
+  key: `${run.id}:${index}`,
+  ...Object.fromEntries(TARGET_PERSONA_FIELDS.map((field) => [field, run.output.personas[index][field]])),
+  avatarRef: { runId: run.id, index },
+});
+
+// Portraits of the target personas, keyed like targetPersonas. A persona whose run was deleted,
+// or that was since replaced by a different persona, has none.
+const targetPersonaAvatars = async (targetPersonas) => {
+  const entries = await Promise.all(targetPersonas.map(async (persona) => {
+    if (!persona.avatarRef) return null;
+    const run = await getRun(persona.avatarRef.runId).catch(() => null);
+    const source = run?.output?.personas?.[persona.avatarRef.index];
+    return source?.avatar && source.name === persona.name ? [persona.key, source.avatar] : null;
+  }));
+  return Object.fromEntries(entries.filter(Boolean));
+};
+
+// Audience, segment and language instructions shared by every Persona Architect prompt.
+const personaBriefPrompt = ({ audience, segments, language }) => {
+  const seedSegments = splitList(segments || '');
+  return `
+      ${audience === 'b2b' ? `
+      These are B2B personas: professionals who buy or influence buying on behalf of a company.
+      Describe each one's company (industry, size, region) in companyProfile and their part in the purchase
+      (e.g. Decision maker, Influencer, End user, Budget holder) in buyingRole. Pain points and motivators should be business ones.
+      ` : 'These are B2C personas: individual consumers buying for themselves or their household.'}
+      ${seedSegments.length > 0 ? `
+      Base the personas on these customer segments, spreading them across all of them, and set each persona's
+      segment to the one it represents: ${seedSegments.join('; ')}.
+      ` : ''}
+      ${isEnglish(language) ? '' : `
+      Write every text field in ${language}, in natural, idiomatic ${language} rather than a literal translation.
+      The keyMessage must be ready-to-use ${language} ad copy that suits the local culture; put an English translation of it in keyMessageEnglish.
+      Keep brand and product names as they are.
+      `}`;
+};
+
+// An avatar for the persona card, from the persona's age, role and demographic.
+const personaPortraitPrompt = (persona, { location }) => stripCitations(`
+      A photorealistic head-and-shoulders portrait of a ${persona.age}-year-old ${persona.role}${location ? ` in ${location}` : ''}.
+      ${persona.demographic}
+      Natural light, plain softly blurred background, relaxed and approachable expression. No text, logos or watermarks.
+`);
+
+// --- Persona Chat ---
+// "Talk to this persona": a multi-turn chat in which the persona reacts in character to ad copy
+// or campaign concepts. The transcript is saved on the persona as `chat`:
+// [{ role: 'user' | 'persona', text, reaction?, objections?, purchaseLikelihood?, at }].
+
+const personaChatSchema = {
+  type: "OBJECT",
+  properties: {
+    reply: { type: "STRING" },
+    reaction: { type: "STRING", enum: ["Positive", "Neutral", "Negative"] },
+    objections: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    },
+    purchaseLikelihood: { type: "INTEGER", minimum: 0, maximum: 100 }
+  },
+  required: ["reply", "reaction", "objections", "purchaseLikelihood"]
+};
+
+// Older turns are dropped from the prompt; the persona context is always sent in full.
+const MAX_CHAT_TURNS_IN_PROMPT = 20;
+
+const personaChatPrompt = (persona, chat, { product, location, language }) => stripCitations(`
+      You are role-playing ${persona.name}, a ${persona.age}-year-old ${persona.role}, in a conversation with a marketer
+      who is testing ad copy and campaign concepts for "${product}" in "${location}" on you.
+      Stay in character the whole time: react as this person really would, in their own voice, and never mention that you are an AI.
+
+      Who you are:
+      Demographic: ${persona.demographic}
+      ${persona.companyProfile ? `Company: ${persona.companyProfile} (${persona.buyingRole})` : ''}
+      Psychographics: ${(persona.psychographics || []).join('; ')}
+      Pain points: ${persona.painPoints.join('; ')}
+      Motivators: ${persona.motivators.join('; ')}
+      Preferred channels: ${persona.preferredChannels.join(', ')}
+
+      Conversation so far:
+      ${chat.slice(-MAX_CHAT_TURNS_IN_PROMPT).map((message) => `${message.role === 'user' ? 'Marketer' : persona.name}: ${message.text}`).join('\n      ')}
+
+      Reply to the marketer's last message in reply, in 1-4 sentences${isEnglish(language) ? '' : `, in ${language}`}.
+      Set reaction to your overall reaction to it, list any objections you would raise (empty if none),
+      and set purchaseLikelihood to how likely you now are to buy, from 0 to 100.
+`);
+
+const chatMessage = (role, fields) => ({ role, ...fields, at: Date.now() });
+
+const REACTION_STYLES = {
+  Positive: { icon: Smile, color: THEME_COLORS.success },
+  Neutral: { icon: Meh, color: THEME_COLORS.accentTertiary },
+  Negative: { icon: Frown, color: THEME_COLORS.error },
+};
+
+const PersonaChatMessage = ({ message, personaName }) => {
+  const isUser = message.role === 'user';
+  const reaction = REACTION_STYLES[message.reaction];
+  const ReactionIcon = reaction?.icon;
+  return (
+    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+      <div
+        className="max-w-[85%] rounded-lg p-3 text-sm space-y-2"
+        style={{
+          backgroundColor: isUser ? `${THEME_COLORS.accentPrimary}30` : THEME_COLORS.background,
+          color: THEME_COLORS.textPrimary,
+        }}
+      >
+        <p className="text-xs font-semibold" style={{ color: THEME_COLORS.textSecondary }}>{isUser ? 'You' : personaName}</p>
+        <p className="whitespace-pre-wrap">{message.text}</p>
+        {!isUser && (
+          <>
+            <div className="flex flex-wrap items-center gap-3 text-xs">
+              {reaction && (
+                <span className="flex items-center" style={{ color: reaction.color }}>
+                  <ReactionIcon size={14} className="mr-1" /> {message.reaction}
+                </span>
+              )}
+              <span style={{ color: THEME_COLORS.textSecondary }}>
+                Purchase likelihood: <span className="font-semibold" style={{ color: THEME_COLORS.textPrimary }}>{message.purchaseLikelihood}%</span>
+              </span>
+            </div>
+            {message.objections?.length > 0 && (
+              <ul className="list-disc list-inside text-xs space-y-0.5" style={{ color: THEME_COLORS.textSecondary }}>
+                {message.objections.map((objection, i) => <li key={i}>{objection}</li>)}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The chat panel for one persona. onChange receives the updated transcript after each reply.
+// Each reply is a model call, so it counts against the plan like any other persona run.
+const PersonaChat = ({ ai, onError, projectId, planQuota, persona, inputs, onChange }) => {
+  const request = useAiRequest({ tool: 'persona', projectId });
+  const [draft, setDraft] = useState('');
+  const chat = persona.chat || [];
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [chat.length]);
+
+  const handleSend = async () => {
+    const text = draft.trim();
+    if (!text) return;
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
+      return;
+    }
+    if (!planQuota.check()) return;
+    const withMessage = [...chat, chatMessage('user', { text })];
+    onChange(withMessage);
+    setDraft('');
+
+    try {
+      const data = await request.run((setLoadingMessage, { signal, onUsage }) =>
+        fetchStructuredJson(ai, personaChatPrompt(persona, withMessage, inputs), personaChatSchema, { signal, onUsage }));
+      planQuota.consume();
+      onChange([...withMessage, chatMessage('persona', {
+        text: data.reply,
+        reaction: data.reaction,
+        objections: data.objections,
+        purchaseLikelihood: data.purchaseLikelihood,
+      })]);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      onError(err.message || 'The persona could not reply.');
+    }
+  };
+
+  const latestReply = [...chat].reverse().find((message) => message.role === 'persona');
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-xl font-bold" style={{ color: THEME_COLORS.textPrimary }}>Talk to {persona.name}</h3>
+        <p className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+          Paste ad copy or a campaign concept to see how {persona.name} reacts.
+          {latestReply && ` Current purchase likelihood: ${latestReply.purchaseLikelihood}%.`}
+        </p>
+      </div>
+      <div ref={listRef} className="max-h-96 overflow-y-auto space-y-3 pr-1">
+        {chat.length === 0 && (
+          <p className="text-sm italic" style={{ color: THEME_COLORS.textSecondary }}>No messages yet.</p>
+        )}
+        {chat.map((message, i) => <PersonaChatMessage key={i} message={message} personaName={persona.name} />)}
+        {request.isLoading && (
+          <p className="text-sm flex items-center" style={{ color: THEME_COLORS.textSecondary }}>
+            <Loader2 size={14} className="animate-spin mr-2" /> {persona.name} is typing...
+          </p>
+        )}
+      </div>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSend();
+        }}
+        rows={4}
+        placeholder="e.g., Ride to work for less than your bus pass. Try a Volta scooter free for a week."
+        className="w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2"
+        style={{
+          borderColor: THEME_COLORS.border,
+          backgroundColor: THEME_COLORS.background,
+          color: THEME_COLORS.textPrimary,
+          '--tw-ring-color': THEME_COLORS.accentPrimary
+        }}
+      />
+      <div className="flex flex-wrap justify-end gap-3">
+        {chat.length > 0 && (
+          <StyledButton variant="secondary" onClick={() => onChange([])} disabled={request.isLoading}>
+            <Trash2 size={16} className="mr-2" /> Clear Transcript
+          </StyledButton>
+        )}
+        {request.isLoading ? (
+          <StyledButton variant="secondary" onClick={request.cancel}>
+            <X size={16} className="mr-2" /> Cancel
+          </StyledButton>
+        ) : (
+          <StyledButton onClick={handleSend} disabled={!draft.trim()}>
+            <Send size={16} className="mr-2" /> Send
+            <QuotaHint quota={planQuota.quota} />
+          </StyledButton>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Synthetic Focus Group ---
+// Puts campaign concepts (typed in, or imported from a saved Campaign Forge run) to every
+// persona at once. Each persona reacts in character with a sentiment and an appeal score; the
+// group's agreement and disagreement are summarised, and concepts are ranked per persona.
+// The latest session is saved on the run as `focusGroup`: { concepts, outcome, ranAt }.
+
+const MAX_FOCUS_GROUP_CONCEPTS = 6;
+
+const SENTIMENTS = ["Positive", "Neutral", "Negative"];
+
+// Personas are labelled P1, P2, ... in the prompt and the answer, as names may repeat.
+const focusGroupPersonaId = (index) => `P${index + 1}`;
+
+const buildFocusGroupSchema = (personas, concepts) => ({
+  type: "OBJECT",
+  properties: {
+    concepts: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { type: "STRING", enum: concepts.map((concept) => concept.title) },
+          reactions: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                persona: { type: "STRING", enum: personas.map((_, index) => focusGroupPersonaId(index)) },
+                reaction: { type: "STRING" },
+                sentiment: { type: "STRING", enum: SENTIMENTS },
+                appeal: { type: "INTEGER", minimum: 0, maximum: 100 }
+              },
+              required: ["persona", "reaction", "sentiment", "appeal"]
+            },
+            minItems: personas.length,
+            maxItems: personas.length
+          }
+        },
+        required: ["title", "reactions"]
+      },
+      minItems: concepts.length,
+      maxItems: concepts.length
+    },
+    summary: { type: "STRING" },
+    agreement: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    },
+    disagreement: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    }
+  },
+  required: ["concepts", "summary", "agreement", "disagreement"]
+});
+
+const focusGroupPrompt = (personas, concepts, { product, location, language }) => `
+      Run a synthetic focus group for a company selling "${product}" in "${location}".
+      Each of these personas reacts, in character, to each of the campaign concepts below:
+      ${personas.map((persona, index) => `${focusGroupPersonaId(index)}:${personaPromptSummary([persona])}`).join('\n      ')}
+
+      Concepts:
+      ${concepts.map((concept, i) => `${i + 1}. ${concept.title}: ${stripCitations(concept.summary)}`).join('\n      ')}
+
+      For every concept (title exactly as given) give every persona's reaction, with persona set to its label (P1, P2, ...):
+      a 1-3 sentence reaction in their own voice${isEnglish(language) ? '' : `, in ${language}`}, its sentiment, and appeal from 0 to 100
+      (how strongly the concept would move them towards buying). Let the reactions differ where the personas really differ.
+      Then summarise the session in summary, and list where the group agrees in agreement and where it splits in
+      disagreement, naming the personas on each side.
+`;
+
+// The personas' reactions to one concept, in persona order; missing reactions are null.
+const conceptReactions = (concept, personas) => personas.map((_, index) =>
+  concept.reactions.find((reaction) => reaction.persona === focusGroupPersonaId(index)) || null);
+
+// One row per concept, with each persona's appeal keyed by position and the group average.
+const focusGroupAppealData = (outcome, personas) => outcome.concepts.map((concept) => {
+  const reactions = conceptReactions(concept, personas);
+  const scored = reactions.filter(Boolean);
+  return {
+    concept: concept.title,
+    ...Object.fromEntries(reactions.map((reaction, index) => [`p${index}`, reaction?.appeal ?? 0])),
+    average: scored.length > 0 ? Math.round(scored.reduce((sum, r) => sum + r.appeal, 0) / scored.length) : 0,
+  };
+});
+
+const focusGroupSentimentData = (outcome) => outcome.concepts.map((concept) => ({
+  concept: concept.title,
+  ...Object.fromEntries(SENTIMENTS.map((sentiment) => [
+    sentiment,
+    concept.reactions.filter((reaction) => reaction.sentiment === sentiment).length,
+  ])),
+}));
+
+const focusGroupSession = (concepts, outcome) => ({ concepts, outcome, ranAt: Date.now() });
+
+const SENTIMENT_COLORS = {
+  Positive: THEME_COLORS.success,
+  Neutral: THEME_COLORS.accentTertiary,
+  Negative: THEME_COLORS.error,
+};
+
+const FocusGroupResults = ({ outcome, personas }) => {
+  const appeal = useMemo(() => focusGroupAppealData(outcome, personas), [outcome, personas]);
+  const sentiment = useMemo(() => focusGroupSentimentData(outcome), [outcome]);
+  const overall = [...appeal].sort((a, b) => b.average - a.average);
+
+  return (
+    <div className="space-y-8">
+      <div
+        className="rounded-xl shadow-lg p-6 border space-y-4"
+        style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+      >
+        <h3 className="text-2xl font-semibold" style={{ color: THEME_COLORS.textPrimary }}>Session Summary</h3>
+        <p style={{ color: THEME_COLORS.textSecondary }}>{outcome.summary}</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <PersonaDetailList title="Where the group agrees" items={outcome.agreement} />
+          <PersonaDetailList title="Where it splits" items={outcome.disagreement} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <ChartContainer title="Predicted Appeal by Persona">
+          <BarChart data={appeal}>
+            <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
+            <XAxis dataKey="concept" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+            <YAxis domain={[0, 100]} stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+            <Tooltip {...chartTooltipProps} />
+            <Legend wrapperStyle={{ color: THEME_COLORS.textSecondary }} />
+            {personas.map((persona, index) => (
+              <Bar key={index} dataKey={`p${index}`} name={persona.name} fill={personaColor(index)} />
+            ))}
+          </BarChart>
+        </ChartContainer>
+        <ChartContainer title="Sentiment by Concept">
+          <BarChart data={sentiment}>
+            <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
+            <XAxis dataKey="concept" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+            <YAxis allowDecimals={false} stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+            <Tooltip {...chartTooltipProps} />
+            <Legend wrapperStyle={{ color: THEME_COLORS.textSecondary }} />
+            {SENTIMENTS.map((key) => (
+              <Bar key={key} dataKey={key} stackId="sentiment" fill={SENTIMENT_COLORS[key]} />
+            ))}
+          </BarChart>
+        </ChartContainer>
+      </div>
+
+      <div
+        className="rounded-xl shadow-lg p-6 border overflow-x-auto"
+        style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+      >
+        <h3 className="text-2xl font-semibold mb-4" style={{ color: THEME_COLORS.textPrimary }}>Concept Ranking</h3>
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr style={{ color: THEME_COLORS.textSecondary }}>
+              <th className="py-2 pr-4 font-semibold">Rank</th>
+              <th className="py-2 pr-4 font-semibold">Whole group</th>
+              {personas.map((persona, index) => (
+                <th key={index} className="py-2 pr-4 font-semibold" style={{ color: personaColor(index) }}>{persona.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {overall.map((row, rank) => (
+              <tr key={row.concept} className="border-t" style={{ borderColor: THEME_COLORS.border, color: THEME_COLORS.textPrimary }}>
+                <td className="py-2 pr-4 font-semibold">{rank + 1}</td>
+                <td className="py-2 pr-4">{row.concept} <span style={{ color: THEME_COLORS.textSecondary }}>({row.average})</span></td>
+                {personas.map((persona, index) => {
+                  const ranked = [...appeal].sort((a, b) => b[`p${index}`] - a[`p${index}`])[rank];
+                  return (
+                    <td key={index} className="py-2 pr-4">
+                      {ranked.concept} <span style={{ color: THEME_COLORS.textSecondary }}>({ranked[`p${index}`]})</span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-6">
+        {outcome.concepts.map((concept) => (
+          <div
+            key={concept.title}
+            className="rounded-xl shadow-lg p-6 border"
+            style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+          >
+            <h4 className="text-lg font-bold mb-4" style={{ color: THEME_COLORS.textPrimary }}>{concept.title}</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {conceptReactions(concept, personas).map((reaction, index) => reaction && (
+                <div key={index} className="p-4 rounded-lg text-sm space-y-2" style={{ backgroundColor: THEME_COLORS.background }}>
+                  <p className="font-semibold flex items-center justify-between" style={{ color: personaColor(index) }}>
+                    {personas[index].name}
+                    <span className="text-xs" style={{ color: SENTIMENT_COLORS[reaction.sentiment] }}>
+                      {reaction.sentiment} · {reaction.appeal}
+                    </span>
+                  </p>
+                  <p className="italic" style={{ color: THEME_COLORS.textSecondary }}>"{reaction.reaction}"</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Concept entry and the latest session. onComplete receives the session to save on the run.
+const FocusGroup = ({ ai, onError, projectId, planQuota, personas, inputs, session, onComplete }) => {
+  const request = useAiRequest({ tool: 'persona', projectId });
+  const [concepts, setConcepts] = useState(session?.concepts || []);
+  const [draft, setDraft] = useState({ title: '', summary: '' });
+  const [forgeRuns, setForgeRuns] = useState([]);
+
+  // Campaign Forge runs saved in this project, whose concepts can be imported.
+  useEffect(() => {
+    if (!projectId) return;
+    let cancelled = false;
+    listRuns(projectId, 'forge')
+      .then((runs) => {
+        if (!cancelled) setForgeRuns(runs.filter((run) => run.output?.concepts?.length > 0));
+      })
+      .catch((err) => console.error(err));
+    return () => { cancelled = true; };
+  }, [projectId]);
+
+  // Titles identify concepts in the model's answer, so they must be unique.
+  const addConcepts = (incoming) => {
+    setConcepts((prev) => {
+      const next = [...prev];
+      for (const concept of incoming) {
+        const title = concept.title.trim();
+        if (!title || next.some((c) => c.title.toLowerCase() === title.toLowerCase())) continue;
+        if (next.length >= MAX_FOCUS_GROUP_CONCEPTS) break;
+        next.push({ title, summary: concept.summary.trim() });
+      }
+      return next;
+    });
+  };
+
+  const handleAddDraft = () => {
+    addConcepts([draft]);
+    setDraft({ title: '', summary: '' });
+  };
+
+  const handleImport = (e) => {
+    const run = forgeRuns.find((r) => r.id === e.target.value);
+    if (run) addConcepts(run.output.concepts.map((concept) => ({ title: concept.title, summary: stripCitations(concept.summary) })));
+  };
+
+  const handleRun = async () => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
+      return;
+    }
+    if (!planQuota.check()) return;
+    try {
+      const outcome = await request.run((setLoadingMessage, { signal, onUsage }) => {
+        setLoadingMessage('Running the focus group...');
+        return fetchStructuredJson(ai, focusGroupPrompt(personas, concepts, inputs), buildFocusGroupSchema(personas, concepts), { signal, onUsage });
+      });
+      planQuota.consume();
+      onComplete(focusGroupSession(concepts, outcome));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      onError(err.message || 'Failed to run the focus group.');
+    }
+  };
+
+  const isStale = session && JSON.stringify(session.concepts) !== JSON.stringify(concepts);
+
+  return (
+    <div className="space-y-8">
+      <div
+        className="rounded-xl shadow-lg p-6 border space-y-4"
+        style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+      >
+        <div>
+          <h3 className="text-2xl font-semibold" style={{ color: THEME_COLORS.textPrimary }}>Focus Group</h3>
+          <p className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+            Put up to {MAX_FOCUS_GROUP_CONCEPTS} campaign concepts to all {personas.length} personas at once.
+          </p>
+        </div>
+        {forgeRuns.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Import concepts from a Campaign Forge run</label>
+            <StyledSelect value="" onChange={handleImport} disabled={concepts.length >= MAX_FOCUS_GROUP_CONCEPTS}>
+              <option value="">Choose a run...</option>
+              {forgeRuns.map((run) => <option key={run.id} value={run.id}>{run.name}</option>)}
+            </StyledSelect>
+          </div>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <StyledInput
+            value={draft.title}
+            onChange={(e) => setDraft((prev) => ({ ...prev, title: e.target.value }))}
+            placeholder="Concept title, e.g., Monsoon Ready"
+          />
+          <StyledInput
+            className="md:col-span-2"
+            value={draft.summary}
+            onChange={(e) => setDraft((prev) => ({ ...prev, summary: e.target.value }))}
+            placeholder="The concept or ad copy in a sentence or two"
+          />
+        </div>
+        <StyledButton
+          variant="secondary"
+          onClick={handleAddDraft}
+          disabled={!draft.title.trim() || !draft.summary.trim() || concepts.length >= MAX_FOCUS_GROUP_CONCEPTS}
+        >
+          <Plus size={16} className="mr-2" /> Add Concept
+        </StyledButton>
+        {concepts.length > 0 && (
+          <ul className="space-y-2">
+            {concepts.map((concept) => (
+              <li key={concept.title} className="flex items-start p-3 rounded-lg text-sm" style={{ backgroundColor: THEME_COLORS.background }}>
+                <div className="flex-1">
+                  <span className="font-semibold" style={{ color: THEME_COLORS.textPrimary }}>{concept.title}</span>
+                  <span style={{ color: THEME_COLORS.textSecondary }}> — {concept.summary}</span>
+                </div>
+                <PersonaCardAction
+                  title={`Remove ${concept.title}`}
+                  onClick={() => setConcepts((prev) => prev.filter((c) => c.title !== concept.title))}
+                  disabled={request.isLoading}
+                >
+                  <Trash2 size={14} />
+                </PersonaCardAction>
+              </li>
+            ))}
+          </ul>
+        )}
+        <StyledButton onClick={handleRun} disabled={concepts.length === 0} className="w-full" isLoading={request.isLoading}>
+          Run Focus Group
+          <QuotaHint quota={planQuota.quota} />
+        </StyledButton>
+      </div>
+
+      {request.isLoading && <RequestProgress request={request} fallbackMessage="Running the focus group..." />}
+
+      {session && !request.isLoading && (
+        <>
+          {isStale && (
+            <p className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+              Showing the last session's results. Run the focus group again to include your concept changes.
+            </p>
+          )}
+          <FocusGroupResults outcome={session.outcome} personas={personas} />
+        </>
+      )}
+    </div>
+  );
+};
+
+const PersonaArchitectTab = ({ ai, onError, brandProfile, projectId, initialRun, initialInputs, onRunSaved }) => {
+  const [inputs, setInputs] = useState(initialRun
+    ? { ...PERSONA_SETTING_DEFAULTS, ...initialRun.inputs }
+    : applyQueryInputs({
+      ...prefillInputs({ product: '', location: '' }, brandProfile),
+      ...PERSONA_SETTING_DEFAULTS,
+    }, initialInputs));
+  const request = useAiRequest({ tool: 'persona', projectId });
+  const planQuota = usePlanQuota('persona', ai, onError);
+  const imageQuota = usePlanQuota('images', ai, onError);
+  const isLoading = request.isLoading;
+  const [result, setResult] = useState(initialRun?.output || null);
+  // The latest result, for updates that land after an await (see saveResult).
+  const resultRef = useRef(result);
+  const [runId, setRunId] = useState(initialRun?.id || null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [chattingIndex, setChattingIndex] = useState(null);
+  const [view, setView] = useState('cards');
+  // Portraits have their own request, so their progress shows on the card rather than the tab.
+  const portraitRequest = useAiRequest({ tool: 'persona', projectId });
+  const [portraitIndex, setPortraitIndex] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setInputs((prev) => ({ ...prev, [name]: value }));
+  };
+  
+  const handleGenerate = async ({ forceRefresh = false } = {}) => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
+      return;
+    }
+    if (!planQuota.check()) return;
+    portraitRequest.cancel();
+    setResult(null);
+    setEditingIndex(null);
+    setChattingIndex(null);
+
+    const count = Number(inputs.count) || 3;
+    const textPrompt = `
+      Act as a senior market researcher. Generate ${count === 1 ? '1 deep-dive marketing persona' : `${count} distinct, deep-dive marketing personas`} for a company selling "${inputs.product}" in "${inputs.location}".
+      For each persona, find real, data-backed psychographics, pain points, motivations, media consumption habits, and a key persuasive message.
       Ensure the personas are distinct and realistic for the specified location.
+      ${personaScoresPrompt}
+      ${personaBriefPrompt(inputs)}
+      ${brandContextPrompt(brandProfile)}
     `;
 
     try {
-      const data = await fetchGroundedJson(apiKey, textPrompt, personaArchitectSchema, setLoadingMessage);
+      const data = await request.run((setLoadingMessage, options) =>
+        fetchGroundedJson(ai, textPrompt, buildPersonaArchitectSchema(inputs), setLoadingMessage, { ...options, forceRefresh }));
+      if (!data.cachedAt) planQuota.consume();
+      data.personas = data.personas.slice(0, count);
       setResult(data);
+      const run = await persistRun({
+        projectId,
+        tool: 'persona',
+        name: `${inputs.product || 'Personas'} — ${inputs.location || 'Any location'}`,
+        inputs,
+        output: data,
+        provider: ai.provider,
+        model: ai.model,
+      }, onRunSaved, onError);
+      setRunId(run?.id || null);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
       onError(err.message || 'Failed to generate personas.');
+    }
+  };
+
+  useEffect(() => {
+    resultRef.current = result;
+  }, [result]);
+
+  // Edits and regenerations update the saved run in place. An updater function is applied to
+  // the latest result, so requests that finish while another one is in flight (a chat reply,
+  // a portrait, a focus group session) don't overwrite each other.
+  const saveResult = (update) => {
+    const next = typeof update === 'function' ? update(resultRef.current) : update;
+    resultRef.current = next;
+    setResult(next);
+    if (runId) {
+      updateRun(runId, { output: next }).then(onRunSaved).catch((err) => {
+        console.error(err);
+        onError('Changes could not be saved to your workspace.');
+      });
+    }
+  };
+
+  const savePersonaChanges = (index, changes) => {
+    saveResult((latest) => ({ ...latest, personas: latest.personas.map((p, i) => (i === index ? { ...p, ...changes } : p)) }));
+  };
+
+  const handleSavePersona = (index, persona) => {
+    saveResult((latest) => ({ ...latest, personas: latest.personas.map((p, i) => (i === index ? persona : p)) }));
+    setEditingIndex(null);
+  };
+
+  // The portrait is stored on the persona, so it is saved with the run; Campaign Forge's
+  // deck export looks it up from there.
+  const handleGeneratePortrait = async (index) => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
+      return;
+    }
+    if (!imageQuota.check()) return;
+    setPortraitIndex(index);
+    try {
+      const [avatar] = await portraitRequest.run((setLoadingMessage, { signal, onUsage }) =>
+        generateImages(ai, personaPortraitPrompt(result.personas[index], inputs), 1, { signal, onUsage }));
+      imageQuota.consume();
+      savePersonaChanges(index, { avatar });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      onError(err.message || 'Failed to generate portrait.');
     } finally {
-      setIsLoading(false);
-      setLoadingMessage('');
+      setPortraitIndex(null);
+    }
+  };
+
+  const handleChatChange = (index, chat) => {
+    savePersonaChanges(index, { chat });
+  };
+
+  const otherPersonasPrompt = (index) => {
+    const others = result.personas.filter((_, i) => i !== index);
+    return others.length > 0 ? `
+      It must stay clearly distinct from these other personas:
+      ${personaPromptSummary(others)}
+    ` : '';
+  };
+
+  // Regenerates one persona around its locked fields. The locked values are put back
+  // afterwards, so they survive even if the model rewrites them.
+  const handleRegeneratePersona = async (index) => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
+      return;
+    }
+    if (!planQuota.check()) return;
+    const persona = result.personas[index];
+    const locked = persona.locked || [];
+    const lockedFields = PERSONA_FIELDS.filter((field) => locked.includes(field.key));
+
+    const textPrompt = `
+      Act as a senior market researcher. Generate 1 new, deep-dive marketing persona for a company selling "${inputs.product}" in "${inputs.location}".
+      Find real, data-backed psychographics, pain points, motivations, media consumption habits, and a key persuasive message.
+      ${lockedFields.length > 0 ? `
+      Keep these fields exactly as given and build the rest of the persona around them:
+      ${lockedFields.map((field) => `${field.label}: ${stripCitations(formatFieldInput(field, persona[field.key]).replace(/\n/g, '; '))}`).join('\n      ')}
+      ` : ''}
+      ${otherPersonasPrompt(index)}
+      ${personaScoresPrompt}
+      ${personaBriefPrompt(inputs)}
+      ${brandContextPrompt(brandProfile)}
+    `;
+
+    try {
+      const data = await request.run((setLoadingMessage, options) =>
+        fetchGroundedJson(ai, textPrompt, buildSinglePersonaSchema(inputs), setLoadingMessage, { ...options, forceRefresh: true }));
+      if (!data.cachedAt) planQuota.consume();
+      const kept = Object.fromEntries(locked.map((key) => [key, persona[key]]));
+      saveResult((latest) => {
+        const { sources, renumber } = mergeSources(latest.sources, data.sources);
+        const regenerated = { ...renumber(data.persona), ...kept, locked };
+        return { ...latest, sources, personas: latest.personas.map((p, i) => (i === index ? regenerated : p)) };
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      onError(err.message || 'Failed to regenerate persona.');
+    }
+  };
+
+  // Regenerates one field of the persona being edited (a non-English key message with its
+  // translation); the editor shows the new value.
+  const handleRegenerateField = async (index, draft, field) => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
+      return undefined;
+    }
+    if (!planQuota.check()) return undefined;
+    const current = formatFieldInput(field, draft[field.key]).replace(/\n/g, '; ');
+    const textPrompt = `
+      Act as a senior market researcher. For a company selling "${inputs.product}" in "${inputs.location}",
+      write a fresh, data-backed ${field.label} for this persona, different from the current one ("${stripCitations(current)}"):
+      ${personaPromptSummary([draft])}
+      Keep it consistent with the persona's other details.
+      ${otherPersonasPrompt(index)}
+      ${personaBriefPrompt(inputs)}
+      ${brandContextPrompt(brandProfile)}
+    `;
+
+    try {
+      const data = await request.run((setLoadingMessage, options) =>
+        fetchGroundedJson(ai, textPrompt, personaFieldSchema(field.key, inputs), setLoadingMessage, { ...options, forceRefresh: true }));
+      if (!data.cachedAt) planQuota.consume();
+      // Renumbered against the latest sources, which saveResult then extends.
+      const latestSources = resultRef.current.sources || [];
+      const { sources, renumber } = mergeSources(latestSources, data.sources);
+      if (sources.length > latestSources.length) saveResult((latest) => ({ ...latest, sources }));
+      const changes = { [field.key]: renumber(data.value) };
+      if (data.keyMessageEnglish !== undefined) changes.keyMessageEnglish = renumber(data.keyMessageEnglish);
+      return changes;
+    } catch (err) {
+      if (isAbortError(err)) return undefined;
+      console.error(err);
+      onError(err.message || `Failed to regenerate ${field.label}.`);
+      return undefined;
     }
   };
 
@@ -569,28 +2204,132 @@ const PersonaArchitectTab = ({ apiKey, onError }) => {
           <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Target Location</label>
           <StyledInput name="location" value={inputs.location} onChange={handleInputChange} placeholder="e.g., Mumbai" />
         </div>
-        <div className="md:col-span-1 flex items-end">
-          <StyledButton onClick={handleGenerate} disabled={isLoading} className="w-full" isLoading={isLoading}>
+        <div className="md:col-span-1">
+          <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Number of Personas</label>
+          <StyledSelect name="count" value={inputs.count} onChange={handleInputChange}>
+            {PERSONA_COUNT_OPTIONS.map((count) => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </StyledSelect>
+        </div>
+        <div className="md:col-span-1">
+          <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Audience</label>
+          <StyledSelect name="audience" value={inputs.audience} onChange={handleInputChange}>
+            {PERSONA_AUDIENCES.map((audience) => (
+              <option key={audience.id} value={audience.id}>{audience.label}</option>
+            ))}
+          </StyledSelect>
+        </div>
+        <div className="md:col-span-1">
+          <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Output Language</label>
+          <StyledSelect name="language" value={inputs.language} onChange={handleInputChange}>
+            {PERSONA_LANGUAGES.map((language) => (
+              <option key={language} value={language}>{language}</option>
+            ))}
+          </StyledSelect>
+        </div>
+        <div className="md:col-span-1">
+          <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Seed Segments (optional, comma-separated)</label>
+          <StyledInput
+            name="segments"
+            value={inputs.segments}
+            onChange={handleInputChange}
+            placeholder={inputs.audience === 'b2b' ? 'e.g., Fleet operators, Delivery startups' : 'e.g., First-time buyers, Students'}
+          />
+        </div>
+        <div className="md:col-span-3">
+          <StyledButton onClick={() => handleGenerate()} disabled={isLoading} className="w-full" isLoading={isLoading}>
             Generate Personas
+            <QuotaHint quota={planQuota.quota} />
           </StyledButton>
         </div>
       </div>
 
       {/* Output Section */}
-      {isLoading && (
-        <div className="flex justify-center items-center p-12">
-          <LoadingSpinner size={48} />
-          <p className="ml-4 text-xl" style={{ color: THEME_COLORS.textSecondary }}>
-            {loadingMessage || 'Generating...'}
-          </p>
-        </div>
-      )}
+      {isLoading && <RequestProgress request={request} fallbackMessage="Generating..." />}
 
       {result && (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {result.personas.map((persona, index) => (
-            <PersonaCard key={index} persona={persona} index={index} />
-          ))}
+        <div className="space-y-8">
+          <div className="flex flex-wrap justify-between items-center gap-4">
+            <div className="inline-flex rounded-lg border p-1" style={{ borderColor: THEME_COLORS.border }}>
+              {[
+                { id: 'cards', label: 'Cards' },
+                ...(result.personas.length > 1 ? [{ id: 'compare', label: 'Compare' }] : []),
+                { id: 'focus', label: 'Focus Group' },
+              ].map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => setView(option.id)}
+                  aria-pressed={view === option.id}
+                  className="px-4 py-1.5 rounded-md text-sm font-semibold"
+                  style={{
+                    backgroundColor: view === option.id ? THEME_COLORS.accentPrimary : 'transparent',
+                    color: view === option.id ? 'white' : THEME_COLORS.textSecondary,
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <CachedBadge cachedAt={result.cachedAt} onRefresh={() => handleGenerate({ forceRefresh: true })} disabled={isLoading} />
+          </div>
+          {view === 'focus' && (
+            <FocusGroup
+              ai={ai}
+              onError={onError}
+              projectId={projectId}
+              planQuota={planQuota}
+              personas={result.personas}
+              inputs={inputs}
+              session={result.focusGroup}
+              onComplete={(focusGroup) => saveResult((latest) => ({ ...latest, focusGroup }))}
+            />
+          )}
+          {view === 'compare' && result.personas.length > 1 && (
+            <PersonaComparison personas={result.personas} sources={result.sources} />
+          )}
+          {(view === 'cards' || (view === 'compare' && result.personas.length <= 1)) && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {result.personas.map((persona, index) => (editingIndex === index ? (
+                <PersonaEditor
+                  key={index}
+                  persona={persona}
+                  onSave={(edited) => handleSavePersona(index, edited)}
+                  onCancel={() => setEditingIndex(null)}
+                  onRegenerateField={(draft, field) => handleRegenerateField(index, draft, field)}
+                  disabled={isLoading}
+                />
+              ) : (
+                <PersonaCard
+                  key={index}
+                  persona={persona}
+                  index={index}
+                  sources={result.sources}
+                  onEdit={() => setEditingIndex(index)}
+                  onRegenerate={() => handleRegeneratePersona(index)}
+                  onChat={() => setChattingIndex(index)}
+                  onGeneratePortrait={() => handleGeneratePortrait(index)}
+                  isGeneratingPortrait={portraitIndex === index}
+                  disabled={isLoading || portraitRequest.isLoading || editingIndex !== null}
+                />
+              )))}
+            </div>
+          )}
+          <SourcesList sources={result.sources} />
+          <Modal isOpen={result.personas[chattingIndex] !== undefined} onClose={() => setChattingIndex(null)} maxWidth="max-w-2xl">
+            {result.personas[chattingIndex] && (
+              <PersonaChat
+                key={chattingIndex}
+                ai={ai}
+                onError={onError}
+                projectId={projectId}
+                planQuota={planQuota}
+                persona={result.personas[chattingIndex]}
+                inputs={inputs}
+                onChange={(chat) => handleChatChange(chattingIndex, chat)}
+              />
+            )}
+          </Modal>
         </div>
       )}
     </div>
@@ -635,7 +2374,8 @@ const marketAnalyzerSchema = {
         properties: {
           metric: { type: "STRING" },
           yourBrand: { type: "NUMBER" },
-          industryAverage: { type: "NUMBER" }
+          industryAverage: { type: "NUMBER" },
+          sources: { type: "ARRAY", items: { type: "INTEGER" } }
         }
       }
     },
@@ -674,7 +2414,8 @@ const marketAnalyzerSchema = {
           metric: { type: "STRING" },
           yourBrand: { type: "NUMBER" },
           competitor1: { type: "NUMBER" },
-          competitor2: { type: "NUMBER" }
+          competitor2: { type: "NUMBER" },
+          sources: { type: "ARRAY", items: { type: "INTEGER" } }
         }
       }
     }
@@ -688,29 +2429,65 @@ const marketAnalyzerSchema = {
 };
 
 
-const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
-  const [inputs, setInputs] = useState({
+// Lists which sources back each benchmark figure, under the chart that plots them.
+const BenchmarkSources = ({ items = [], sources = [] }) => {
+  const cited = items.filter((item) => item.sources?.length > 0);
+  if (cited.length === 0 || sources.length === 0) return null;
+  return (
+    <p className="mt-4 text-xs" style={{ color: THEME_COLORS.textSecondary }}>
+      Sources:{' '}
+      {cited.map((item, i) => (
+        <span key={item.metric} className="mr-3">
+          {item.metric}
+          <CitedText text={` [${item.sources.join(', ')}]`} sources={sources} />
+          {i < cited.length - 1 ? ';' : ''}
+        </span>
+      ))}
+    </p>
+  );
+};
+
+const MarketPositionAnalyzerTab = ({ ai, onError, brandProfile, projectId, initialRun, initialInputs, onRunSaved }) => {
+  const [inputs, setInputs] = useState(initialRun?.inputs || applyQueryInputs(prefillInputs({
     companyName: '',
     website: '',
     location: '',
     product: '',
     competitors: '',
-  });
-  const [isLoading, setIsLoading] = useState(false);
-  const [loadingMessage, setLoadingMessage] = useState('');
-  const [result, setResult] = useState(null);
+  }, brandProfile), initialInputs));
+  const request = useAiRequest({ tool: 'analyzer', projectId });
+  const planQuota = usePlanQuota('analyzer', ai, onError);
+  const isLoading = request.isLoading;
+  const [result, setResult] = useState(initialRun?.output || null);
+  const [generatedAt, setGeneratedAt] = useState(initialRun?.createdAt || null);
+  const [isExporting, setIsExporting] = useState(false);
+  const chartsRef = useRef(null);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setInputs((prev) => ({ ...prev, [name]: value }));
   };
 
-  const handleGenerateAnalysis = async () => {
-    if (!apiKey) {
-      onError('Please set your API Key in the Welcome tab first.');
+  const handleExportPdf = async () => {
+    setIsExporting(true);
+    try {
+      // jsPDF is only needed here, so it is loaded on demand.
+      const { exportMarketAnalysisPdf } = await import('./exportPdf.js');
+      await exportMarketAnalysisPdf({ inputs, result, chartsRoot: chartsRef.current, generatedAt: generatedAt || Date.now() });
+    } catch (err) {
+      console.error(err);
+      onError(err.message || 'Failed to export PDF.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleGenerateAnalysis = async ({ forceRefresh = false } = {}) => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
       return;
     }
-    setIsLoading(true);
+    if (!planQuota.check()) return;
     setResult(null);
 
     const searchTextPrompt = `
@@ -731,17 +2508,28 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
       8.  Brand Performance Radar: 5 subjects (e.g., 'Innovation', 'Trust') and scores out of 100.
       9.  Regional Performance: 4-6 key cities/regions in '${inputs.location}' and their sentiment.
       10. Competitor Benchmarks: Compare '${inputs.companyName}' against '${inputs.competitors}' on 2-3 key metrics.
+      ${brandContextPrompt(brandProfile)}
     `;
 
     try {
-      const data = await fetchGroundedJson(apiKey, searchTextPrompt, marketAnalyzerSchema, setLoadingMessage);
+      const data = await request.run((setLoadingMessage, options) =>
+        fetchGroundedJson(ai, searchTextPrompt, marketAnalyzerSchema, setLoadingMessage, { ...options, forceRefresh }));
+      if (!data.cachedAt) planQuota.consume();
       setResult(data);
+      setGeneratedAt(Date.now());
+      await persistRun({
+        projectId,
+        tool: 'analyzer',
+        name: `${inputs.companyName || 'Market analysis'} — ${inputs.location || 'Any location'}`,
+        inputs,
+        output: data,
+        provider: ai.provider,
+        model: ai.model,
+      }, onRunSaved, onError);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
       onError(err.message || 'Failed to generate analysis.');
-    } finally {
-      setIsLoading(false);
-      setLoadingMessage('');
     }
   };
 
@@ -800,19 +2588,15 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
           <StyledInput name="competitors" value={inputs.competitors} onChange={handleInputChange} placeholder="e.g., Tesla, Rivian" />
         </div>
         <div className="md:col-span-2">
-          <StyledButton onClick={handleGenerateAnalysis} disabled={isLoading} className="w-full" isLoading={isLoading}>
+          <StyledButton onClick={() => handleGenerateAnalysis()} disabled={isLoading} className="w-full" isLoading={isLoading}>
             Generate Analysis
+            <QuotaHint quota={planQuota.quota} />
           </StyledButton>
         </div>
       </div>
 
       {/* Output Section */}
-      {isLoading && (
-        <div className="flex justify-center items-center p-12">
-          <LoadingSpinner size={48} />
-          <p className="ml-4 text-xl" style={{ color: THEME_COLORS.textSecondary }}>{loadingMessage || 'Analyzing...'}</p>
-        </div>
-      )}
+      {isLoading && <RequestProgress request={request} fallbackMessage="Analyzing..." />}
 
       {result && (
         <div className="space-y-8">
@@ -821,13 +2605,22 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
             className="rounded-xl shadow-lg p-8 border space-y-6"
             style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
           >
-            <h3 className="text-2xl font-semibold" style={{ color: THEME_COLORS.textPrimary }}>
-              AI-Generated Market Analysis
-            </h3>
+            <div className="flex flex-wrap justify-between items-center gap-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <h3 className="text-2xl font-semibold" style={{ color: THEME_COLORS.textPrimary }}>
+                  AI-Generated Market Analysis
+                </h3>
+                <CachedBadge cachedAt={result.cachedAt} onRefresh={() => handleGenerateAnalysis({ forceRefresh: true })} disabled={isLoading} />
+              </div>
+              <StyledButton onClick={handleExportPdf} variant="secondary" isLoading={isExporting}>
+                <FileDown size={18} className="mr-2" />
+                Download PDF Report
+              </StyledButton>
+            </div>
             
             <div>
               <h4 className="text-xl font-semibold mb-2" style={{ color: THEME_COLORS.accentPrimary }}>Cultural Insights</h4>
-              <p style={{ color: THEME_COLORS.textSecondary }}>{result.culturalInsights}</p>
+              <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={result.culturalInsights} sources={result.sources} /></p>
             </div>
 
             <div>
@@ -840,25 +2633,25 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
                   <span className="flex items-center"><Frown size={18} className="mr-1" style={{ color: THEME_COLORS.error }} /> {result.marketSentiment.negative}% Negative</span>
                 </div>
               </div>
-              <p style={{ color: THEME_COLORS.textSecondary }}>{result.marketSentiment.summary}</p>
+              <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={result.marketSentiment.summary} sources={result.sources} /></p>
             </div>
 
             <div>
               <h4 className="text-xl font-semibold mb-2" style={{ color: THEME_COLORS.accentPrimary }}>Consumer Sentiment Analysis</h4>
-              <p style={{ color: THEME_COLORS.textSecondary }}>{result.consumerSentimentAnalysis}</p>
+              <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={result.consumerSentimentAnalysis} sources={result.sources} /></p>
             </div>
 
             <div>
               <h4 className="text-xl font-semibold mb-2" style={{ color: THEME_COLORS.accentPrimary }}>Key Cultural Themes</h4>
               <ul className="list-disc list-inside space-y-1" style={{ color: THEME_COLORS.textSecondary }}>
-                {result.keyCulturalThemes.map(theme => <li key={theme}>{theme}</li>)}
+                {result.keyCulturalThemes.map(theme => <li key={theme}><CitedText text={theme} sources={result.sources} /></li>)}
               </ul>
             </div>
 
             <div>
               <h4 className="text-xl font-semibold mb-2" style={{ color: THEME_COLORS.accentPrimary }}>Recommendations</h4>
               <ul className="list-decimal list-inside space-y-1" style={{ color: THEME_COLORS.textSecondary }}>
-                {result.recommendations.map(rec => <li key={rec}>{rec}</li>)}
+                {result.recommendations.map(rec => <li key={rec}><CitedText text={rec} sources={result.sources} /></li>)}
               </ul>
             </div>
           </div>
@@ -884,7 +2677,7 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
                     <tr key={item.trait}>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium" style={{ color: THEME_COLORS.textPrimary }}>{item.trait}</td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm" style={{ color: THEME_COLORS.textSecondary }}>{item.alignment}</td>
-                      <td className="px-6 py-4 text-sm" style={{ color: THEME_COLORS.textSecondary }}>{item.implication}</td>
+                      <td className="px-6 py-4 text-sm" style={{ color: THEME_COLORS.textSecondary }}><CitedText text={item.implication} sources={result.sources} /></td>
                     </tr>
                   ))}
                 </tbody>
@@ -894,7 +2687,7 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
 
 
           {/* Charts Dashboard */}
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div ref={chartsRef} className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             <ChartContainer title="Market Sentiment">
               <PieChart>
                 <Pie data={sentimentPieData} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={100} fill={THEME_COLORS.accentPrimary} label={{ fill: THEME_COLORS.textPrimary }}>
@@ -910,7 +2703,7 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
               </PieChart>
             </ChartContainer>
 
-            <ChartContainer title="Performance Benchmarks">
+            <ChartContainer title="Performance Benchmarks" footer={<BenchmarkSources items={result.performanceBenchmarks} sources={result.sources} />}>
               <BarChart data={result.performanceBenchmarks}>
                 <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
                 <XAxis dataKey="metric" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
@@ -973,7 +2766,7 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
                               {item.sentiment}
                             </div>
                           </td>
-                          <td className="px-6 py-4 text-sm" style={{ color: THEME_COLORS.textSecondary, whiteSpace: 'normal' }}>{item.summary}</td>
+                          <td className="px-6 py-4 text-sm" style={{ color: THEME_COLORS.textSecondary, whiteSpace: 'normal' }}><CitedText text={item.summary} sources={result.sources} /></td>
                         </tr>
                       );
                     })}
@@ -983,7 +2776,7 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
             </div>
             {/* END MODIFICATION */}
 
-            <ChartContainer title="Competitor Benchmark">
+            <ChartContainer title="Competitor Benchmark" footer={<BenchmarkSources items={result.competitorBenchmarks} sources={result.sources} />}>
               <BarChart data={result.competitorBenchmarks}>
                 <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
                 <XAxis dataKey="metric" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
@@ -1022,6 +2815,8 @@ const MarketPositionAnalyzerTab = ({ apiKey, onError }) => {
               </LineChart>
             </ChartContainer>
           </div>
+
+          <SourcesList sources={result.sources} />
         </div>
       )}
     </div>
@@ -1034,6 +2829,10 @@ const campaignSchema = {
   properties: {
     strategy: { type: "STRING" },
     rationale: { type: "STRING" },
+    citedInsights: {
+      type: "ARRAY",
+      items: { type: "STRING" }
+    },
     kpis: {
       type: "ARRAY",
       items: {
@@ -1061,7 +2860,8 @@ const campaignSchema = {
           id: { type: "NUMBER" },
           title: { type: "STRING" },
           summary: { type: "STRING" },
-          visualIdea: { type: "STRING" }
+          visualIdea: { type: "STRING" },
+          targetPersona: { type: "STRING" }
         }
       }
     }
@@ -1069,36 +2869,113 @@ const campaignSchema = {
   required: ["strategy", "rationale", "kpis", "framework", "concepts"]
 };
 
-const CampaignForgeTab = ({ apiKey, onError }) => {
-  const [inputs, setInputs] = useState({
-    companyName: '',
-    website: '',
-    country: '',
-    city: '',
-    imageURL: '',
-  });
-  const [isStrategyLoading, setIsStrategyLoading] = useState(false);
-  const [loadingMessage, setLoadingMessage] = useState('');
-  const [isImageLoading, setIsImageLoading] = useState(false);
+const EMPTY_FORGE_INPUTS = {
+  companyName: '',
+  website: '',
+  country: '',
+  city: '',
+  imageURL: '',
+  targetPersonas: [],
+  marketAnalysis: null,
+};
+
+// Compact text description of a saved market analysis, for the strategy prompt.
+// The analysis run's citation markers are dropped so they aren't copied into citedInsights.
+const marketAnalysisPromptSummary = ({ name, insights }) => stripCitations(`
+      Market analysis to build on ("${name}"):
+      Key cultural themes: ${insights.keyCulturalThemes.join('; ')}
+      Recommendations:
+      ${insights.recommendations.map((rec, i) => `${i + 1}. ${rec}`).join('\n      ')}
+      Cultural value alignment:
+      ${insights.culturalValueAlignment.map((item) => `- ${item.trait} (${item.alignment}): ${item.implication}`).join('\n      ')}
+      Competitor benchmarks:
+      ${insights.competitorBenchmarks.map((b) => `- ${b.metric}: brand ${b.yourBrand}, competitor 1 ${b.competitor1}, competitor 2 ${b.competitor2}`).join('\n      ')}
+      The rationale must cite the specific cultural themes and recommendations above that the strategy acts on,
+      and citedInsights must list each of them word for word.
+`);
+
+const CampaignForgeTab = ({ ai, onError, brandProfile, projectId, initialRun, initialInputs, onRunSaved }) => {
+  const [inputs, setInputs] = useState(initialRun
+    ? { ...EMPTY_FORGE_INPUTS, ...initialRun.inputs }
+    : applyQueryInputs(prefillInputs(EMPTY_FORGE_INPUTS, brandProfile), initialInputs));
+  const strategyRequest = useAiRequest({ tool: 'forge', projectId });
+  const planQuota = usePlanQuota('forge', ai, onError);
+  const imageQuota = usePlanQuota('images', ai, onError);
+  const isStrategyLoading = strategyRequest.isLoading;
+  const imageRequest = useAiRequest({ tool: 'forge', projectId });
+  const isImageLoading = imageRequest.isLoading;
   
-  const [strategyResult, setStrategyResult] = useState(null);
+  const [strategyResult, setStrategyResult] = useState(initialRun?.output || null);
   const [selectedConcept, setSelectedConcept] = useState(null);
-  const [generatedImages, setGeneratedImages] = useState([]);
+  // Generated images are kept per concept so they survive switching between concepts.
+  const [conceptImages, setConceptImages] = useState(initialRun?.images || {});
+  const [runId, setRunId] = useState(initialRun?.id || null);
+  const [generatedAt, setGeneratedAt] = useState(initialRun?.createdAt || null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const [savedPersonaRuns, setSavedPersonaRuns] = useState([]);
+  const [savedAnalysisRuns, setSavedAnalysisRuns] = useState([]);
+
+  const generatedImages = conceptImages[selectedConcept?.id] || [];
+
+  // Personas and market analyses saved in this project, offered as strategy context.
+  useEffect(() => {
+    if (!projectId) return;
+    let cancelled = false;
+    listRuns(projectId)
+      .then((runs) => {
+        if (cancelled) return;
+        setSavedPersonaRuns(runs.filter((run) => run.tool === 'persona'));
+        setSavedAnalysisRuns(runs.filter((run) => run.tool === 'analyzer'));
+      })
+      .catch((err) => console.error(err));
+    return () => { cancelled = true; };
+  }, [projectId]);
+
+  // A snapshot of the analysis is stored with the inputs, so the run stays reproducible
+  // even if the analysis is later deleted from the workspace.
+  const handleAnalysisChange = (e) => {
+    const run = savedAnalysisRuns.find((r) => r.id === e.target.value);
+    setInputs((prev) => ({
+      ...prev,
+      marketAnalysis: run ? {
+        runId: run.id,
+        name: run.name,
+        insights: {
+          keyCulturalThemes: run.output.keyCulturalThemes,
+          recommendations: run.output.recommendations,
+          culturalValueAlignment: run.output.culturalValueAlignment,
+          competitorBenchmarks: run.output.competitorBenchmarks,
+        },
+      } : null,
+    }));
+  };
+
+  const handleTogglePersona = (run, index) => {
+    const key = `${run.id}:${index}`;
+    setInputs((prev) => ({
+      ...prev,
+      targetPersonas: prev.targetPersonas.some((p) => p.key === key)
+        ? prev.targetPersonas.filter((p) => p.key !== key)
+        : [...prev.targetPersonas, targetPersonaSnapshot(run, index)],
+    }));
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setInputs((prev) => ({ ...prev, [name]: value }));
   };
 
-  const handleGenerateStrategy = async () => {
-    if (!apiKey) {
-      onError('Please set your API Key in the Welcome tab first.');
+  const handleGenerateStrategy = async ({ forceRefresh = false } = {}) => {
+    if (!isAiConfigured(ai)) {
+      onError('Please configure your AI provider in the Welcome tab first.');
       return;
     }
-    setIsStrategyLoading(true);
+    if (!planQuota.check()) return;
     setStrategyResult(null);
     setSelectedConcept(null);
-    setGeneratedImages([]);
+    setConceptImages({});
+    setRunId(null);
 
     const searchTextPrompt = `
       Create a full campaign strategy for:
@@ -1111,74 +2988,102 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
       2.  rationale: The rationale behind it.
       3.  kpis: A list of 3-4 conservative KPI estimations (e.g., Brand Awareness Lift: 5-10%).
       4.  framework: Details for coreMessage, channelStrategy, contentCalendar, and riskMitigation.
-      5.  concepts: A list of 6 distinct campaign concepts. Each concept should have a title, summary, and a visualIdea (a short description for an image generator).
+      5.  concepts: A list of 6 distinct campaign concepts. Each concept should have a title, summary, a visualIdea (a short description for an image generator), and a targetPersona (the audience it is aimed at).
+      ${inputs.targetPersonas.length > 0 ? `
+      Target personas — build the strategy around them and refer to them by name in the strategy and rationale.
+      Every concept must target exactly one of these personas; set its targetPersona to that persona's exact name,
+      and spread the six concepts across all of them:
+      ${personaPromptSummary(inputs.targetPersonas)}
+      ` : ''}
+      ${inputs.marketAnalysis ? marketAnalysisPromptSummary(inputs.marketAnalysis) : ''}
+      ${brandContextPrompt(brandProfile)}
     `;
     
     try {
-      const data = await fetchGroundedJson(apiKey, searchTextPrompt, campaignSchema, setLoadingMessage);
+      const data = await strategyRequest.run((setLoadingMessage, options) =>
+        fetchGroundedJson(ai, searchTextPrompt, campaignSchema, setLoadingMessage, { ...options, forceRefresh }));
+      if (!data.cachedAt) planQuota.consume();
       // Assign sequential IDs if not provided
       data.concepts = data.concepts.map((concept, index) => ({ ...concept, id: concept.id || index + 1 }));
       setStrategyResult(data);
+      setGeneratedAt(Date.now());
+      const run = await persistRun({
+        projectId,
+        tool: 'forge',
+        name: `${inputs.companyName || 'Campaign'} — ${[inputs.city, inputs.country].filter(Boolean).join(', ') || 'Any location'}`,
+        inputs,
+        output: data,
+        provider: ai.provider,
+        model: ai.model,
+      }, onRunSaved, onError);
+      setRunId(run?.id || null);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
       onError(err.message || 'Failed to generate strategy.');
-    } finally {
-      setIsStrategyLoading(false);
-      setLoadingMessage('');
     }
   };
 
   const handleGenerateImages = async () => {
-    if (!apiKey || !selectedConcept) {
+    if (!isAiConfigured(ai) || !selectedConcept) {
       onError('Please select a concept first.');
       return;
     }
-    setIsImageLoading(true);
-    setGeneratedImages([]);
-
+    if (!imageQuota.check()) return;
     const imagePrompt = `
       Create a high-quality, visually appealing campaign image for an ad.
       The campaign is for: ${inputs.companyName}
       The concept is: ${selectedConcept.title}.
       Visual Idea: ${selectedConcept.visualIdea}.
       Target location: ${inputs.city}, ${inputs.country}.
+      ${selectedConcept.targetPersona ? `Target audience: ${selectedConcept.targetPersona}.` : ''}
       Style: Modern, professional, tech-focused, dark theme.
-      Use a color palette of deep purple, indigo, bright violet, and white text.
+      ${brandProfile.brandColors.length > 0
+        ? `Use the brand colour palette: ${joinList(brandProfile.brandColors)}.`
+        : 'Use a color palette of deep purple, indigo, bright violet, and white text.'}
+      ${brandProfile.toneOfVoice ? `Tone of voice: ${brandProfile.toneOfVoice}.` : ''}
     `;
     
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/imagen-4.0-generate-001:predict?key=${apiKey}`;
-    const payload = {
-      instances: [{ prompt: imagePrompt }],
-      parameters: { sampleCount: 2 }
-    };
-
     try {
-      const data = await fetchWithBackoff(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-      
-      const images = data.predictions?.map(
-        (pred) => `data:image/png;base64,${pred.bytesBase64Encoded}`
-      );
-      
-      if (images && images.length > 0) {
-        setGeneratedImages(images);
-      } else {
-        throw new Error('No images returned from API.');
+      const images = await imageRequest.run((setLoadingMessage, { signal, onUsage }) => generateImages(ai, imagePrompt, 2, { signal, onUsage }));
+      imageQuota.consume();
+      const nextImages = { ...conceptImages, [selectedConcept.id]: images };
+      setConceptImages(nextImages);
+      if (runId) {
+        updateRun(runId, { images: nextImages }).then(onRunSaved).catch((err) => {
+          console.error(err);
+          onError('Images could not be saved to your workspace.');
+        });
       }
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
       onError(err.message || 'Failed to generate images.');
+    }
+  };
+
+  const handleExportDeck = async () => {
+    setIsExporting(true);
+    try {
+      // pptxgenjs is only needed here, so it is loaded on demand.
+      const { exportCampaignDeck } = await import('./exportDeck.js');
+      await exportCampaignDeck({
+        inputs,
+        result: strategyResult,
+        conceptImages,
+        personaAvatars: await targetPersonaAvatars(inputs.targetPersonas),
+        generatedAt: generatedAt || Date.now(),
+      });
+    } catch (err) {
+      console.error(err);
+      onError(err.message || 'Failed to export deck.');
     } finally {
-      setIsImageLoading(false);
+      setIsExporting(false);
     }
   };
 
   const handleConceptClick = (concept) => {
     setSelectedConcept(concept);
-    setGeneratedImages([]); // Clear old images
     const detailElement = document.getElementById('concept-detail');
     if (detailElement) {
       detailElement.scrollIntoView({ behavior: 'smooth' });
@@ -1230,18 +3135,61 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
           <StyledInput name="imageURL" value={inputs.imageURL} onChange={handleInputChange} placeholder="https://.../image.png" />
         </div>
         <div className="md:col-span-2">
-          <StyledButton onClick={handleGenerateStrategy} disabled={isStrategyLoading} className="w-full" isLoading={isStrategyLoading}>
+          <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>Optional: Build on a Market Analysis</label>
+          <StyledSelect value={inputs.marketAnalysis?.runId || ''} onChange={handleAnalysisChange}>
+            <option value="">None</option>
+            {inputs.marketAnalysis && !savedAnalysisRuns.some((run) => run.id === inputs.marketAnalysis.runId) && (
+              <option value={inputs.marketAnalysis.runId}>{inputs.marketAnalysis.name}</option>
+            )}
+            {savedAnalysisRuns.map((run) => (
+              <option key={run.id} value={run.id}>{run.name} · {new Date(run.createdAt).toLocaleDateString()}</option>
+            ))}
+          </StyledSelect>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium mb-2" style={{ color: THEME_COLORS.textSecondary }}>
+            Optional: Target Personas ({inputs.targetPersonas.length} selected)
+          </label>
+          {savedPersonaRuns.length === 0 ? (
+            <p className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+              Personas you generate in Persona Architect can be targeted here.
+            </p>
+          ) : (
+            <div className="space-y-3 max-h-56 overflow-y-auto p-3 rounded-lg border" style={{ borderColor: THEME_COLORS.border, backgroundColor: THEME_COLORS.background }}>
+              {savedPersonaRuns.map((run) => (
+                <div key={run.id}>
+                  <p className="text-xs font-semibold uppercase tracking-wider mb-1" style={{ color: THEME_COLORS.accentPrimary }}>{run.name}</p>
+                  <div className="flex flex-wrap gap-x-6 gap-y-1">
+                    {run.output.personas.map((persona, index) => {
+                      const key = `${run.id}:${index}`;
+                      return (
+                        <label key={key} className="flex items-center text-sm cursor-pointer" style={{ color: THEME_COLORS.textSecondary }}>
+                          <input
+                            type="checkbox"
+                            checked={inputs.targetPersonas.some((p) => p.key === key)}
+                            onChange={() => handleTogglePersona(run, index)}
+                            className="mr-2"
+                            style={{ accentColor: THEME_COLORS.accentPrimary }}
+                          />
+                          {persona.name} — {persona.role}
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="md:col-span-2">
+          <StyledButton onClick={() => handleGenerateStrategy()} disabled={isStrategyLoading} className="w-full" isLoading={isStrategyLoading}>
             Generate Strategy & Concepts
+            <QuotaHint quota={planQuota.quota} />
           </StyledButton>
         </div>
       </div>
       
-      {isStrategyLoading && (
-        <div className="flex justify-center items-center p-12">
-          <LoadingSpinner size={48} />
-          <p className="ml-4 text-xl" style={{ color: THEME_COLORS.textSecondary }}>{loadingMessage || 'Forging your campaign...'}</p>
-        </div>
-      )}
+      {isStrategyLoading && <RequestProgress request={strategyRequest} fallbackMessage="Forging your campaign..." />}
 
       {/* Strategy Output */}
       {strategyResult && (
@@ -1251,23 +3199,42 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
             className="rounded-xl shadow-lg p-8 border"
             style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
           >
-            <h3 className="text-2xl font-semibold mb-4" style={{ color: THEME_COLORS.textPrimary }}>
-              Your AI-Generated Campaign Strategy
-            </h3>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <h3 className="text-2xl font-semibold" style={{ color: THEME_COLORS.textPrimary }}>
+                  Your AI-Generated Campaign Strategy
+                </h3>
+                <CachedBadge cachedAt={strategyResult.cachedAt} onRefresh={() => handleGenerateStrategy({ forceRefresh: true })} disabled={isStrategyLoading} />
+              </div>
+              <StyledButton onClick={handleExportDeck} variant="secondary" isLoading={isExporting}>
+                <Presentation size={18} className="mr-2" />
+                Download Deck
+              </StyledButton>
+            </div>
             <div className="space-y-4">
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Campaign Strategy</h4>
-                <p style={{ color: THEME_COLORS.textSecondary }}>{strategyResult.strategy}</p>
+                <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={strategyResult.strategy} sources={strategyResult.sources} /></p>
               </div>
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Rationale</h4>
-                <p style={{ color: THEME_COLORS.textSecondary }}>{strategyResult.rationale}</p>
+                <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={strategyResult.rationale} sources={strategyResult.sources} /></p>
               </div>
+              {strategyResult.citedInsights?.length > 0 && (
+                <div>
+                  <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>
+                    Built on Market Analysis{inputs.marketAnalysis ? `: ${inputs.marketAnalysis.name}` : ''}
+                  </h4>
+                  <ul className="list-disc list-inside" style={{ color: THEME_COLORS.textSecondary }}>
+                    {strategyResult.citedInsights.map((insight) => <li key={insight}>{insight}</li>)}
+                  </ul>
+                </div>
+              )}
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Conservative KPI Estimations</h4>
                 <ul className="list-disc list-inside" style={{ color: THEME_COLORS.textSecondary }}>
                   {strategyResult.kpis.map(kpi => (
-                    <li key={kpi.metric}><strong style={{ color: THEME_COLORS.textPrimary }}>{kpi.metric}:</strong> {kpi.value}</li>
+                    <li key={kpi.metric}><strong style={{ color: THEME_COLORS.textPrimary }}>{kpi.metric}:</strong> <CitedText text={kpi.value} sources={strategyResult.sources} /></li>
                   ))}
                 </ul>
               </div>
@@ -1284,19 +3251,19 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
               </h3>
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Core Message</h4>
-                <p style={{ color: THEME_COLORS.textSecondary }}>{strategyResult.framework.coreMessage}</p>
+                <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={strategyResult.framework.coreMessage} sources={strategyResult.sources} /></p>
               </div>
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Channel Strategy</h4>
-                <p style={{ color: THEME_COLORS.textSecondary }}>{strategyResult.framework.channelStrategy}</p>
+                <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={strategyResult.framework.channelStrategy} sources={strategyResult.sources} /></p>
               </div>
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Content Calendar</h4>
-                <p style={{ color: THEME_COLORS.textSecondary }}>{strategyResult.framework.contentCalendar}</p>
+                <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={strategyResult.framework.contentCalendar} sources={strategyResult.sources} /></p>
               </div>
               <div>
                 <h4 className="text-lg font-semibold" style={{ color: THEME_COLORS.accentPrimary }}>Risk Mitigation</h4>
-                <p style={{ color: THEME_COLORS.textSecondary }}>{strategyResult.framework.riskMitigation}</p>
+                <p style={{ color: THEME_COLORS.textSecondary }}><CitedText text={strategyResult.framework.riskMitigation} sources={strategyResult.sources} /></p>
               </div>
             </div>
             
@@ -1350,7 +3317,12 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
                   }}
                 >
                   <h4 className="text-lg font-bold" style={{ color: THEME_COLORS.textPrimary }}>{concept.title}</h4>
-                  <p className="text-sm mt-2" style={{ color: THEME_COLORS.textSecondary }}>{concept.summary}</p>
+                  <p className="text-sm mt-2" style={{ color: THEME_COLORS.textSecondary }}>{stripCitations(concept.summary)}</p>
+                  {concept.targetPersona && (
+                    <p className="text-xs font-semibold mt-3 flex items-center" style={{ color: THEME_COLORS.accentPrimary }}>
+                      <Users size={14} className="mr-1" /> Targets: {concept.targetPersona}
+                    </p>
+                  )}
                 </button>
               ))}
             </div>
@@ -1365,7 +3337,12 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
               <h3 className="text-2xl font-semibold mb-4" style={{ color: THEME_COLORS.textPrimary }}>
                 Concept Detail: <span style={{ color: THEME_COLORS.accentPrimary }}>{selectedConcept.title}</span>
               </h3>
-              <p className="mb-4" style={{ color: THEME_COLORS.textSecondary }}>{selectedConcept.summary}</p>
+              <p className="mb-4" style={{ color: THEME_COLORS.textSecondary }}><CitedText text={selectedConcept.summary} sources={strategyResult.sources} /></p>
+              {selectedConcept.targetPersona && (
+                <p className="mb-4 font-semibold flex items-center" style={{ color: THEME_COLORS.accentPrimary }}>
+                  <Users size={18} className="mr-2" /> Target Persona: {selectedConcept.targetPersona}
+                </p>
+              )}
               <div className="p-4 rounded-lg" style={{ backgroundColor: THEME_COLORS.background }}>
                 <p className="font-semibold" style={{ color: THEME_COLORS.textPrimary }}>Visual Idea:</p>
                 <p className="italic" style={{ color: THEME_COLORS.textSecondary }}>"{selectedConcept.visualIdea}"</p>
@@ -1374,12 +3351,12 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
               <StyledButton onClick={handleGenerateImages} disabled={isImageLoading} className="mt-6" isLoading={isImageLoading}>
                 <ImageIcon size={18} className="mr-2" />
                 Generate Campaign Images (2)
+                <QuotaHint quota={imageQuota.quota} />
               </StyledButton>
               
               {isImageLoading && (
-                <div className="flex justify-center items-center p-12">
-                  <LoadingSpinner size={48} />
-                  <p className="ml-4 text-xl" style={{ color: THEME_COLORS.textSecondary }}>Generating images...</p>
+                <div className="mt-6">
+                  <RequestProgress request={imageRequest} fallbackMessage="Generating images..." />
                 </div>
               )}
               
@@ -1400,73 +3377,263 @@ const CampaignForgeTab = ({ apiKey, onError }) => {
               )}
             </div>
           )}
-          
+
+          <SourcesList sources={strategyResult.sources} />
         </div>
       )}
     </div>
   );
 };
 
+// --- Usage ---
+
+const USAGE_TOOLS = Object.keys(TOOL_LABELS);
+
+const formatCost = (usd) => `$${usd > 0 && usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+
+// Totals for a set of ledger entries.
+const sumUsage = (entries) => entries.reduce((totals, entry) => ({
+  tokens: totals.tokens + (entry.totalTokens || 0),
+  cost: totals.cost + estimateCost(entry),
+  calls: totals.calls + 1,
+  images: totals.images + (entry.images || 0),
+}), { tokens: 0, cost: 0, calls: 0, images: 0 });
+
+// One chart row per calendar day, with tokens split by tool.
+const usageByDay = (entries) => {
+  const days = new Map();
+  for (const entry of entries) {
+    const day = new Date(entry.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    if (!days.has(day)) {
+      days.set(day, { day, cost: 0, textCalls: 0, imageCalls: 0, ...Object.fromEntries(USAGE_TOOLS.map((tool) => [tool, 0])) });
+    }
+    const row = days.get(day);
+    row[entry.tool] = (row[entry.tool] || 0) + (entry.totalTokens || 0);
+    row.cost += estimateCost(entry);
+    if (entry.kind === 'image') row.imageCalls += 1;
+    else row.textCalls += 1;
+  }
+  return [...days.values()];
+};
+
+const UsageTable = ({ title, rows }) => (
+  <div
+    className="rounded-xl shadow-lg p-8 border"
+    style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+  >
+    <h3 className="text-2xl font-semibold mb-4" style={{ color: THEME_COLORS.textPrimary }}>{title}</h3>
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y" style={{ divideColor: THEME_COLORS.border }}>
+        <thead style={{ backgroundColor: THEME_COLORS.background }}>
+          <tr>
+            {['', 'Calls', 'Tokens', 'Images', 'Est. Cost'].map((heading) => (
+              <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider" style={{ color: THEME_COLORS.textSecondary }}>{heading}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y" style={{ divideColor: THEME_COLORS.border }}>
+          {rows.map(({ label, totals }) => (
+            <tr key={label}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium" style={{ color: THEME_COLORS.textPrimary }}>{label}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm" style={{ color: THEME_COLORS.textSecondary }}>{totals.calls}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm" style={{ color: THEME_COLORS.textSecondary }}>{totals.tokens.toLocaleString()}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm" style={{ color: THEME_COLORS.textSecondary }}>{totals.images}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm" style={{ color: THEME_COLORS.textSecondary }}>{formatCost(totals.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const UsageTab = ({ project, onError }) => {
+  const [scope, setScope] = useState('project');
+  const [entries, setEntries] = useState([]);
+  const [projects, setProjects] = useState([]);
+
+  useEffect(() => {
+    if (scope === 'project' && !project) return;
+    let cancelled = false;
+    Promise.all([listUsage(scope === 'project' ? project.id : undefined), listProjects()])
+      .then(([usage, allProjects]) => {
+        if (cancelled) return;
+        setEntries(usage);
+        setProjects(allProjects);
+      })
+      .catch((err) => {
+        console.error(err);
+        onError('Failed to load your usage history.');
+      });
+    return () => { cancelled = true; };
+  }, [scope, project, onError]);
+
+  const totals = useMemo(() => sumUsage(entries), [entries]);
+  const daily = useMemo(() => usageByDay(entries), [entries]);
+  const toolRows = useMemo(() => USAGE_TOOLS.map((tool) => ({
+    label: TOOL_LABELS[tool],
+    totals: sumUsage(entries.filter((entry) => entry.tool === tool)),
+  })), [entries]);
+  const projectRows = useMemo(() => projects
+    .map((p) => ({ label: p.name, totals: sumUsage(entries.filter((entry) => entry.projectId === p.id)) }))
+    .filter((row) => row.totals.calls > 0), [projects, entries]);
+
+  const tooltipProps = {
+    contentStyle: { backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border },
+    itemStyle: { color: THEME_COLORS.textPrimary },
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <h2 className="text-3xl font-bold" style={{ color: THEME_COLORS.textPrimary }}>Usage</h2>
+        <StyledSelect value={scope} onChange={(e) => setScope(e.target.value)} className="md:w-64">
+          <option value="project">{project ? `Project: ${project.name}` : 'This project'}</option>
+          <option value="all">All projects</option>
+        </StyledSelect>
+      </div>
+      <p style={{ color: THEME_COLORS.textSecondary }}>
+        Every model call made from this browser, counted from the provider's own token reports.
+        Costs are estimates at published list prices; cached results and demo mode cost nothing.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard title="Tokens" value={totals.tokens.toLocaleString()} icon={<Activity />} />
+        <StatCard title="Estimated Cost" value={formatCost(totals.cost)} icon={<Coins />} />
+        <StatCard title="Model Calls" value={totals.calls} icon={<Bot />} />
+        <StatCard title="Images" value={totals.images} icon={<ImageIcon />} />
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-center py-12" style={{ color: THEME_COLORS.textSecondary }}>
+          No usage recorded yet. Generate personas, an analysis or a campaign to see it here.
+        </p>
+      ) : (
+        <>
+          <ChartContainer title="Tokens per Day">
+            <BarChart data={daily}>
+              <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
+              <XAxis dataKey="day" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+              <YAxis stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+              <Tooltip {...tooltipProps} />
+              <Legend wrapperStyle={{ color: THEME_COLORS.textSecondary }} />
+              {USAGE_TOOLS.map((tool, index) => (
+                <Bar key={tool} dataKey={tool} name={TOOL_LABELS[tool]} stackId="tokens" fill={CHART_COLORS[index % CHART_COLORS.length]} />
+              ))}
+            </BarChart>
+          </ChartContainer>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <ChartContainer title="Estimated Cost per Day">
+              <LineChart data={daily}>
+                <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
+                <XAxis dataKey="day" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+                <YAxis stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} tickFormatter={formatCost} />
+                <Tooltip {...tooltipProps} formatter={(value) => formatCost(value)} />
+                <Line type="monotone" dataKey="cost" name="Est. Cost" stroke={THEME_COLORS.accentPrimary} activeDot={{ r: 8 }} />
+              </LineChart>
+            </ChartContainer>
+
+            <ChartContainer title="Calls per Day">
+              <BarChart data={daily}>
+                <CartesianGrid strokeDasharray="3 3" stroke={THEME_COLORS.border} />
+                <XAxis dataKey="day" stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+                <YAxis allowDecimals={false} stroke={THEME_COLORS.textSecondary} tick={{ fill: THEME_COLORS.textSecondary }} />
+                <Tooltip {...tooltipProps} />
+                <Legend wrapperStyle={{ color: THEME_COLORS.textSecondary }} />
+                <Bar dataKey="textCalls" name="Text" stackId="calls" fill={THEME_COLORS.accentPrimary} />
+                <Bar dataKey="imageCalls" name="Images" stackId="calls" fill={THEME_COLORS.accentSecondary} />
+              </BarChart>
+            </ChartContainer>
+          </div>
+
+          <UsageTable title="By Tool" rows={toolRows} />
+          {scope === 'all' && <UsageTable title="By Project" rows={projectRows} />}
+        </>
+      )}
+    </div>
+  );
+};
+
 // --- Tab 5: Pricing ---
-const PricingCard = ({ plan, price, features, isFeatured = false }) => (
-  <div 
-    className={`p-8 rounded-2xl border ${isFeatured ? 'shadow-2xl scale-105' : 'shadow-lg'}`}
-    style={{
-      backgroundColor: isFeatured ? THEME_COLORS.accentPrimary : THEME_COLORS.cardBackground,
-      borderColor: isFeatured ? THEME_COLORS.accentPrimary : THEME_COLORS.border,
-      color: isFeatured ? 'white' : THEME_COLORS.textPrimary,
-    }}
-  >
-    <h3 className="text-2xl font-semibold">{plan}</h3>
-    <p className="mt-2 text-4xl font-bold">
-      {price}
-      {price.startsWith('$') && 
-        <span className={`text-sm font-medium ${isFeatured ? 'text-purple-100' : 'text-gray-400'}`}>/mo</span>
-      }
-    </p>
-    <ul className={`mt-6 space-y-3 ${isFeatured ? 'text-purple-50' : ''}`}
-        style={{ color: isFeatured ? 'white' : THEME_COLORS.textSecondary }}
-    >
-      {features.map((feature, index) => (
-        <li key={index} className="flex items-center space-x-3">
-          <Check size={20} style={{ color: isFeatured ? 'white' : THEME_COLORS.success }} />
-          <span>{feature}</span>
-        </li>
-      ))}
-    </ul>
-    <StyledButton
-      className="w-full mt-8"
+
+// Marketing copy for a plan, built from its limits so the two can't drift apart.
+const planFeatures = (plan) => [
+  plan.users ? `${plan.users} User${plan.users > 1 ? 's' : ''}` : 'Unlimited Users',
+  ...(Object.keys(plan.limits).length > 0
+    ? Object.entries(plan.limits).map(([key, limit]) => `${limit} ${QUOTA_NOUNS[key]}`)
+    : ['Unlimited Runs & Images']),
+  ...plan.extras,
+];
+
+const PricingCard = ({ plan, isActive, onSelect }) => {
+  const { name, price, isFeatured = false } = plan;
+  return (
+    <div 
+      className={`p-8 rounded-2xl border ${isFeatured ? 'shadow-2xl scale-105' : 'shadow-lg'}`}
       style={{
-        backgroundColor: isFeatured ? 'white' : THEME_COLORS.accentSecondary,
-        color: isFeatured ? THEME_COLORS.accentPrimary : 'white',
-        '--tw-ring-color': isFeatured ? 'white' : THEME_COLORS.accentSecondary,
-        '--tw-ring-offset-color': isFeatured ? THEME_COLORS.accentPrimary : THEME_COLORS.cardBackground
+        backgroundColor: isFeatured ? THEME_COLORS.accentPrimary : THEME_COLORS.cardBackground,
+        borderColor: isActive ? THEME_COLORS.success : isFeatured ? THEME_COLORS.accentPrimary : THEME_COLORS.border,
+        color: isFeatured ? 'white' : THEME_COLORS.textPrimary,
       }}
     >
-      {plan === 'Enterprise' ? 'Contact Us' : 'Get Started'}
-    </StyledButton>
-  </div>
-);
+      <h3 className="text-2xl font-semibold">{name}</h3>
+      <p className="mt-2 text-4xl font-bold">
+        {price}
+        {price.startsWith('$') && 
+          <span className={`text-sm font-medium ${isFeatured ? 'text-purple-100' : 'text-gray-400'}`}>/mo</span>
+        }
+      </p>
+      <ul className={`mt-6 space-y-3 ${isFeatured ? 'text-purple-50' : ''}`}
+          style={{ color: isFeatured ? 'white' : THEME_COLORS.textSecondary }}
+      >
+        {planFeatures(plan).map((feature, index) => (
+          <li key={index} className="flex items-center space-x-3">
+            <Check size={20} style={{ color: isFeatured ? 'white' : THEME_COLORS.success }} />
+            <span>{feature}</span>
+          </li>
+        ))}
+      </ul>
+      <StyledButton
+        className="w-full mt-8"
+        onClick={onSelect}
+        disabled={isActive}
+        style={{
+          backgroundColor: isFeatured ? 'white' : THEME_COLORS.accentSecondary,
+          color: isFeatured ? THEME_COLORS.accentPrimary : 'white',
+          '--tw-ring-color': isFeatured ? 'white' : THEME_COLORS.accentSecondary,
+          '--tw-ring-offset-color': isFeatured ? THEME_COLORS.accentPrimary : THEME_COLORS.cardBackground
+        }}
+      >
+        {isActive ? 'Current Plan' : plan.id === 'enterprise' ? 'Contact Us' : 'Get Started'}
+      </StyledButton>
+    </div>
+  );
+};
+
+// This period's usage of each metered tool on the active plan.
+const PlanUsageSummary = ({ plan }) => {
+  const metered = Object.keys(plan.limits).map((tool) => ({ tool, ...getQuota(tool) }));
+  const resetsAt = metered.length > 0 ? new Date(metered[0].resetsAt).toLocaleDateString() : null;
+  return (
+    <p className="text-center" style={{ color: THEME_COLORS.textSecondary }}>
+      You're on the <span className="font-semibold" style={{ color: THEME_COLORS.textPrimary }}>{plan.name}</span> plan
+      {metered.length > 0
+        ? ` · ${metered.map(({ tool, used, limit }) => `${used}/${limit} ${QUOTA_NOUNS[tool]}`).join(', ')} used this month (resets ${resetsAt})`
+        : ' with unlimited runs'}
+      .
+    </p>
+  );
+};
 
 const PricingTab = () => {
-  const plans = [
-    {
-      plan: 'Starter',
-      price: '$99',
-      features: ['1 User', '10 Market Analyses', '5 Campaign Forges', 'Email Support'],
-    },
-    {
-      plan: 'Pro',
-      price: '$299',
-      features: ['5 Users', '50 Market Analyses', '25 Campaign Forges', 'Priority Support', 'API Access'],
-      isFeatured: true,
-    },
-    {
-      plan: 'Enterprise',
-      price: 'Contact Us',
-      features: ['Unlimited Users', 'Unlimited Analyses', 'Custom Integrations', 'Dedicated Strategist'],
-    },
-  ];
+  const [activePlan, setActivePlanState] = useState(getActivePlan);
+
+  // Billing is stubbed locally: choosing a plan activates it straight away.
+  const handleSelectPlan = (plan) => {
+    setActivePlan(plan.id);
+    setActivePlanState(plan);
+  };
 
   return (
     <div className="space-y-8">
@@ -1477,9 +3644,15 @@ const PricingTab = () => {
         Choose the plan that's right for your team and start building
         smarter campaigns today.
       </p>
+      <PlanUsageSummary plan={activePlan} />
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 max-w-6xl mx-auto pt-8">
-        {plans.map((plan) => (
-          <PricingCard key={plan.plan} {...plan} />
+        {PLANS.map((plan) => (
+          <PricingCard
+            key={plan.id}
+            plan={plan}
+            isActive={plan.id === activePlan.id}
+            onSelect={() => handleSelectPlan(plan)}
+          />
         ))}
       </div>
     </div>
@@ -1518,106 +3691,670 @@ const AboutUsTab = () => {
 };
 
 
+// --- Brand Profile ---
+
+// How each list field is edited as text: comma-separated, except markets (see brandProfile.js).
+const BRAND_LIST_FIELDS = {
+  markets: { split: splitMarkets, join: joinMarkets },
+  productLines: { split: splitList, join: joinList },
+  competitors: { split: splitList, join: joinList },
+  brandColors: { split: splitList, join: joinList },
+};
+
+const BrandProfileForm = ({ profile, onSave }) => {
+  // List fields are edited as text and split again on save.
+  const [form, setForm] = useState(() => ({
+    ...profile,
+    ...Object.fromEntries(Object.entries(BRAND_LIST_FIELDS).map(([field, { join }]) => [field, join(profile[field])])),
+  }));
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = () => {
+    onSave({
+      ...form,
+      ...Object.fromEntries(Object.entries(BRAND_LIST_FIELDS).map(([field, { split }]) => [field, split(form[field])])),
+    });
+  };
+
+  const fields = [
+    { name: 'name', label: 'Brand Name', placeholder: 'e.g., Volt Rides' },
+    { name: 'website', label: 'Website', placeholder: 'https://company.com' },
+    { name: 'markets', label: 'Markets (semicolon-separated)', placeholder: 'e.g., Mumbai, India; Pune, India (the first is the default)' },
+    { name: 'productLines', label: 'Product Lines (comma-separated)', placeholder: 'e.g., E-Scooters, Charging Plans' },
+    { name: 'competitors', label: 'Competitors (comma-separated)', placeholder: 'e.g., Ather, Ola Electric' },
+    { name: 'toneOfVoice', label: 'Tone of Voice', placeholder: 'e.g., Witty, optimistic, no jargon' },
+    { name: 'brandColors', label: 'Brand Colours (comma-separated)', placeholder: 'e.g., #9E78F0, #1E1A3D' },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-2xl font-semibold flex items-center" style={{ color: THEME_COLORS.textPrimary }}>
+        <Building2 size={24} className="mr-2" style={{ color: THEME_COLORS.accentPrimary }} />
+        Brand Profile
+      </h2>
+      <p className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+        Every tool pre-fills its inputs from this profile and passes it to the AI as context.
+      </p>
+      <div className="space-y-3 max-h-96 overflow-y-auto pr-1">
+        {fields.map((field) => (
+          <div key={field.name}>
+            <label className="block text-sm font-medium mb-1" style={{ color: THEME_COLORS.textSecondary }}>{field.label}</label>
+            <StyledInput name={field.name} value={form[field.name]} onChange={handleInputChange} placeholder={field.placeholder} />
+          </div>
+        ))}
+        {splitList(form.brandColors).length > 0 && (
+          <div className="flex space-x-2">
+            {splitList(form.brandColors).map((color) => (
+              <span key={color} title={color} className="w-8 h-8 rounded-full border" style={{ backgroundColor: color, borderColor: THEME_COLORS.border }} />
+            ))}
+          </div>
+        )}
+      </div>
+      <StyledButton onClick={handleSave} className="w-full">
+        <Check size={20} className="inline-block mr-2" />
+        Save Brand Profile
+      </StyledButton>
+    </div>
+  );
+};
+
+
+// --- Workspace Sidebar ---
+
+const TOOL_ICONS = { persona: Users, analyzer: Target, forge: WandSparkles };
+
+const WorkspaceSidebar = ({ isOpen, onClose, project, onProjectChange, revision, onOpenRun, onError }) => {
+  const [projects, setProjects] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [editingRunId, setEditingRunId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [newProjectName, setNewProjectName] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !project) return;
+    let cancelled = false;
+    Promise.all([listProjects(), listRuns(project.id)])
+      .then(([allProjects, projectRuns]) => {
+        if (cancelled) return;
+        setProjects(allProjects);
+        setRuns(projectRuns);
+      })
+      .catch((err) => {
+        console.error(err);
+        onError('Failed to load your workspace.');
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, project, revision, refreshKey, onError]);
+
+  const refresh = () => setRefreshKey((prev) => prev + 1);
+
+  // Wraps a workspace action so failures surface as a toast and the list reloads afterwards.
+  const runAction = (action, failureMessage) => async (...args) => {
+    try {
+      await action(...args);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      onError(failureMessage);
+    }
+  };
+
+  const handleRename = runAction(async (runId) => {
+    if (editingName.trim()) {
+      await renameRun(runId, editingName.trim());
+    }
+    setEditingRunId(null);
+  }, 'Failed to rename run.');
+
+  const handleDuplicate = runAction(duplicateRun, 'Failed to duplicate run.');
+
+  const handleDelete = runAction(async (run) => {
+    if (window.confirm(`Delete "${run.name}"? This cannot be undone.`)) {
+      await deleteRun(run.id);
+    }
+  }, 'Failed to delete run.');
+
+  const handleCreateProject = runAction(async () => {
+    if (!newProjectName.trim()) return;
+    const created = await createProject(newProjectName.trim());
+    setNewProjectName('');
+    onProjectChange(created);
+  }, 'Failed to create project.');
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-50" onClick={onClose}>
+      <aside
+        className="w-full max-w-md h-full overflow-y-auto p-6 border-l shadow-2xl"
+        style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold flex items-center" style={{ color: THEME_COLORS.textPrimary }}>
+            <History size={24} className="mr-2" style={{ color: THEME_COLORS.accentPrimary }} />
+            Workspace
+          </h2>
+          <button onClick={onClose} style={{ color: THEME_COLORS.textSecondary, backgroundColor: 'transparent' }}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-3 mb-8">
+          <label className="block text-sm font-medium" style={{ color: THEME_COLORS.textSecondary }}>Project</label>
+          <StyledSelect
+            value={project?.id || ''}
+            onChange={(e) => onProjectChange(projects.find((p) => p.id === e.target.value))}
+          >
+            {projects.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </StyledSelect>
+          <div className="flex space-x-2">
+            <StyledInput
+              value={newProjectName}
+              onChange={(e) => setNewProjectName(e.target.value)}
+              placeholder="New project name"
+            />
+            <StyledButton onClick={handleCreateProject} disabled={!newProjectName.trim()} className="px-4">
+              <Plus size={18} />
+            </StyledButton>
+          </div>
+        </div>
+
+        <h3 className="text-lg font-semibold mb-3" style={{ color: THEME_COLORS.textPrimary }}>Saved Runs</h3>
+        {runs.length === 0 && (
+          <p className="text-sm" style={{ color: THEME_COLORS.textSecondary }}>
+            Nothing saved yet. Every Persona Architect, Market Analyzer and Campaign Forge run lands here.
+          </p>
+        )}
+        <ul className="space-y-3">
+          {runs.map((run) => {
+            const ToolIcon = TOOL_ICONS[run.tool] || Info;
+            return (
+              <li
+                key={run.id}
+                className="p-4 rounded-lg border"
+                style={{ backgroundColor: THEME_COLORS.background, borderColor: THEME_COLORS.border }}
+              >
+                {editingRunId === run.id ? (
+                  <div className="flex space-x-2">
+                    <StyledInput
+                      value={editingName}
+                      onChange={(e) => setEditingName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleRename(run.id)}
+                      autoFocus
+                    />
+                    <StyledButton onClick={() => handleRename(run.id)} className="px-4">
+                      <Check size={18} />
+                    </StyledButton>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => onOpenRun(run)}
+                    className="w-full text-left"
+                    style={{ backgroundColor: 'transparent', padding: 0 }}
+                  >
+                    <p className="font-semibold flex items-center" style={{ color: THEME_COLORS.textPrimary }}>
+                      <ToolIcon size={16} className="mr-2 flex-shrink-0" style={{ color: THEME_COLORS.accentPrimary }} />
+                      {run.name}
+                    </p>
+                    <p className="text-xs mt-1" style={{ color: THEME_COLORS.textSecondary }}>
+                      {TOOL_LABELS[run.tool]} · {new Date(run.createdAt).toLocaleString()} · {run.model}
+                    </p>
+                  </button>
+                )}
+                <div className="flex space-x-3 mt-3" style={{ color: THEME_COLORS.textSecondary }}>
+                  <button
+                    title="Rename"
+                    onClick={() => { setEditingRunId(run.id); setEditingName(run.name); }}
+                    style={{ backgroundColor: 'transparent', padding: 0 }}
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button title="Duplicate" onClick={() => handleDuplicate(run.id)} style={{ backgroundColor: 'transparent', padding: 0 }}>
+                    <Copy size={16} />
+                  </button>
+                  <button title="Delete" onClick={() => handleDelete(run)} style={{ backgroundColor: 'transparent', padding: 0, color: THEME_COLORS.error }}>
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </aside>
+    </div>
+  );
+};
+
+
 // --- Main App Component ---
 
-const AppHeader = ({ activeTab, onTabClick }) => {
+// Active provider and key at a glance, with a quick way to forget the key.
+const KeyStatus = ({ aiConfig, isKeyLocked, onKeyClick, onForgetKey }) => {
+  const provider = getProvider(aiConfig);
+  const isActive = isAiConfigured(aiConfig);
+  const label = !isActive
+    ? (isKeyLocked ? 'Key locked' : 'No API key')
+    : provider.requiresKey ? `${provider.label} · ${maskKey(aiConfig.apiKey)}` : provider.label;
+
+  return (
+    <div
+      className="ml-3 flex items-center rounded-full text-xs font-semibold border"
+      style={{ borderColor: THEME_COLORS.border, color: THEME_COLORS.textSecondary }}
+    >
+      <button
+        onClick={onKeyClick}
+        title={isActive ? 'Connected' : 'Set up your AI provider'}
+        className="flex items-center px-2 py-1"
+      >
+        <span
+          className="w-2 h-2 rounded-full mr-2"
+          style={{ backgroundColor: isActive ? THEME_COLORS.success : THEME_COLORS.error }}
+        />
+        {isKeyLocked && !isActive ? <Lock size={12} className="mr-1" /> : <KeyRound size={12} className="mr-1" />}
+        {label}
+      </button>
+      {(isActive && provider.requiresKey) || isKeyLocked ? (
+        <button onClick={onForgetKey} title="Forget key" className="pr-2 py-1">
+          <X size={12} />
+        </button>
+      ) : null}
+    </div>
+  );
+};
+
+// Slide-in navigation for small screens. Focus moves to the active tab when it opens, Tab and
+// Shift+Tab cycle within the drawer, and Escape or a click outside closes it.
+const MobileNavDrawer = ({ isOpen, onClose, tabs, activeTab, onTabClick, onWorkspaceClick, onBrandProfileClick }) => {
+  const drawerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const drawer = drawerRef.current;
+    (drawer.querySelector('[aria-current="page"]') || drawer.querySelector('button'))?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const focusable = [...drawer.querySelectorAll('button')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  // Every entry closes the drawer once it has done its job. Entries that open a modal
+  // leave focus to that modal instead of sending it back to the menu button.
+  const select = (action, { restoreFocus = true } = {}) => () => {
+    action();
+    onClose({ restoreFocus });
+  };
+
+  const itemClass = 'w-full flex items-center px-4 py-3 rounded-lg text-base font-medium transition-colors';
+
+  return (
+    <div className="fixed inset-0 z-50 flex bg-black bg-opacity-50 md:hidden" onClick={() => onClose()}>
+      <aside
+        ref={drawerRef}
+        id="mobile-nav"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Navigation"
+        className="w-72 max-w-[85%] h-full overflow-y-auto p-6 border-r shadow-2xl"
+        style={{ backgroundColor: THEME_COLORS.cardBackground, borderColor: THEME_COLORS.border }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center">
+            <Bot size={28} style={{ color: THEME_COLORS.accentPrimary }} />
+            <span className="ml-2 text-xl font-bold" style={{ color: THEME_COLORS.textPrimary }}>Naya Daur</span>
+          </div>
+          <button onClick={() => onClose()} aria-label="Close menu" style={{ color: THEME_COLORS.textSecondary, backgroundColor: 'transparent' }}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <nav className="space-y-1">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={select(() => onTabClick(tab.id))}
+              aria-current={activeTab === tab.id ? 'page' : undefined}
+              className={itemClass}
+              style={{
+                backgroundColor: activeTab === tab.id ? THEME_COLORS.accentPrimary : 'transparent',
+                color: activeTab === tab.id ? 'white' : THEME_COLORS.textSecondary,
+                fontWeight: activeTab === tab.id ? '600' : '500'
+              }}
+            >
+              <tab.icon size={20} className="mr-3" />
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+
+        <div className="mt-6 pt-6 border-t space-y-1" style={{ borderColor: THEME_COLORS.border }}>
+          <button onClick={select(onBrandProfileClick, { restoreFocus: false })} className={itemClass} style={{ color: THEME_COLORS.textSecondary }}>
+            <Building2 size={20} className="mr-3" />
+            Brand Profile
+          </button>
+          <button onClick={select(onWorkspaceClick, { restoreFocus: false })} className={itemClass} style={{ color: THEME_COLORS.textSecondary }}>
+            <History size={20} className="mr-3" />
+            Workspace
+          </button>
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+const AppHeader = ({ activeTab, onTabClick, isDemo, onWorkspaceClick, onBrandProfileClick, keyStatus }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const menuButtonRef = useRef(null);
+
+  // Focus returns to the menu button, so keyboard users pick up where they left off,
+  // unless the drawer closed to open another dialog that takes focus itself.
+  const closeMenu = useCallback(({ restoreFocus = true } = {}) => {
+    setIsMenuOpen(false);
+    if (restoreFocus) menuButtonRef.current?.focus();
+  }, []);
+
   const tabs = [
     { id: 'welcome', label: 'Welcome', icon: Home },
     { id: 'persona', label: 'Persona Architect', icon: Users }, // ADDED
     { id: 'analyzer', label: 'Market Analyzer', icon: Target },
     { id: 'forge', label: 'Campaign Forge', icon: WandSparkles },
+    { id: 'usage', label: 'Usage', icon: ChartColumn },
     { id: 'pricing', label: 'Pricing', icon: DollarSign },
     { id: 'about', label: 'About Us', icon: Info },
   ];
 
+  // The drawer sits beside the header: the header's backdrop blur would otherwise pin the
+  // drawer's fixed positioning to the header instead of the viewport.
   return (
-    <header 
-      className="shadow-md sticky top-0 z-40 border-b"
-      style={{ 
-        backgroundColor: `${THEME_COLORS.cardBackground}E6`, // Translucent
-        borderColor: THEME_COLORS.border,
-        backdropFilter: 'blur(10px)'
-      }}
-    >
-      <nav className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex justify-between items-center h-20">
-          {/* Logo */}
-          <div className="flex-shrink-0 flex items-center">
-            <Bot size={32} style={{ color: THEME_COLORS.accentPrimary }} />
-            <span className="ml-3 text-2xl font-bold" style={{ color: THEME_COLORS.textPrimary }}>Naya Daur</span>
-          </div>
-          
-          {/* Desktop Nav */}
-          <div className="hidden md:flex md:space-x-2">
-            {tabs.map(tab => (
+    <>
+      <header 
+        className="shadow-md sticky top-0 z-40 border-b"
+        style={{ 
+          backgroundColor: `${THEME_COLORS.cardBackground}E6`, // Translucent
+          borderColor: THEME_COLORS.border,
+          backdropFilter: 'blur(10px)'
+        }}
+      >
+        <nav className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-20">
+            {/* Logo */}
+            <div className="flex-shrink-0 flex items-center">
+              <Bot size={32} style={{ color: THEME_COLORS.accentPrimary }} />
+              <span className="ml-3 text-2xl font-bold" style={{ color: THEME_COLORS.textPrimary }}>Naya Daur</span>
+              {isDemo && (
+                <span
+                  className="ml-3 px-2 py-1 rounded-full text-xs font-semibold"
+                  style={{ backgroundColor: `${THEME_COLORS.accentPrimary}30`, color: THEME_COLORS.accentPrimary }}
+                >
+                  Demo Mode
+                </span>
+              )}
+              {!isDemo && <KeyStatus {...keyStatus} />}
+            </div>
+            
+            {/* Desktop Nav */}
+            <div className="hidden md:flex md:space-x-2">
+              {tabs.map(tab => (
+                <button
+                  key={tab.id}
+                  onClick={() => onTabClick(tab.id)}
+                  className="flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+                  style={{
+                    backgroundColor: activeTab === tab.id ? THEME_COLORS.accentPrimary : 'transparent',
+                    color: activeTab === tab.id ? 'white' : THEME_COLORS.textSecondary,
+                    fontWeight: activeTab === tab.id ? '600' : '500'
+                  }}
+                >
+                  <tab.icon size={18} className="mr-2" />
+                  {tab.label}
+                </button>
+              ))}
               <button
-                key={tab.id}
-                onClick={() => onTabClick(tab.id)}
+                onClick={onBrandProfileClick}
+                title="Brand Profile"
                 className="flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors"
-                style={{
-                  backgroundColor: activeTab === tab.id ? THEME_COLORS.accentPrimary : 'transparent',
-                  color: activeTab === tab.id ? 'white' : THEME_COLORS.textSecondary,
-                  fontWeight: activeTab === tab.id ? '600' : '500'
-                }}
+                style={{ backgroundColor: 'transparent', color: THEME_COLORS.textSecondary }}
               >
-                <tab.icon size={18} className="mr-2" />
-                {tab.label}
+                <Building2 size={18} />
               </button>
-            ))}
-          </div>
-          
-          {/* Mobile Nav (Placeholder) */}
-          <div className="md:hidden">
-            <span style={{ color: THEME_COLORS.textSecondary }}>Menu</span>
+              <button
+                onClick={onWorkspaceClick}
+                title="Workspace"
+                className="flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+                style={{ backgroundColor: 'transparent', color: THEME_COLORS.textSecondary }}
+              >
+                <History size={18} />
+              </button>
+            </div>
+            
+            {/* Mobile Nav */}
+            <div className="md:hidden">
+              <button
+                ref={menuButtonRef}
+                onClick={() => setIsMenuOpen(true)}
+                aria-label="Open menu"
+                aria-expanded={isMenuOpen}
+                aria-controls="mobile-nav"
+                className="p-2 rounded-lg"
+                style={{ color: THEME_COLORS.textPrimary, backgroundColor: 'transparent' }}
+              >
+                <Menu size={28} />
+              </button>
+            </div>
           </div>
-        </div>
-      </nav>
-    </header>
+        </nav>
+      </header>
+      <MobileNavDrawer
+        isOpen={isMenuOpen}
+        onClose={closeMenu}
+        tabs={tabs}
+        activeTab={activeTab}
+        onTabClick={onTabClick}
+        onWorkspaceClick={onWorkspaceClick}
+        onBrandProfileClick={onBrandProfileClick}
+      />
+    </>
   );
 };
 
 
 export default function App() {
-  const [apiKey, setApiKey] = useState('');
-  const [activeTab, setActiveTab] = useState('welcome');
+  const [aiConfig, setAiConfig] = useState(() => loadSessionConfig() || DEFAULT_AI_CONFIG);
+  const [encryptedConfig, setEncryptedConfig] = useState(loadEncryptedConfig);
+  // The route (tab, saved run, input prefill) mirrors the URL hash; see router.js.
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+  const activeTab = route.tab;
   const [error, setError] = useState(null);
   const [showApiKeyModal, setShowApiKeyModal] = useState(false);
 
+  // Workspace: the active project, the latest run per tool (restored when a tab remounts),
+  // and a nonce that forces a tab to remount when a run is opened from the sidebar or a link.
+  const [project, setProject] = useState(null);
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const [workspaceRevision, setWorkspaceRevision] = useState(0);
+  const [runsByTool, setRunsByTool] = useState({});
+  const [openedRunNonce, setOpenedRunNonce] = useState(0);
+  const openedRunIdRef = useRef(null);
+
+  const [brandProfile, setBrandProfile] = useState(loadBrandProfile);
+  const [showBrandProfile, setShowBrandProfile] = useState(false);
+
   useEffect(() => {
-    if (!apiKey) {
+    if (!isAiConfigured(aiConfig)) {
       setShowApiKeyModal(true);
     }
-  }, [apiKey]);
+  }, [aiConfig]);
+
+  // Back/forward and pasted links. A link that pre-fills inputs remounts the tab to apply them.
+  useEffect(() => {
+    const handleHashChange = () => {
+      const nextRoute = parseRoute(window.location.hash);
+      setRoute(nextRoute);
+      if (Object.keys(nextRoute.query).length > 0) setOpenedRunNonce((prev) => prev + 1);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
 
-  const handleSaveApiKey = (key) => {
-    setApiKey(key);
+  // Each navigation is a history entry, so the browser's back button walks back through tabs.
+  const navigate = (nextRoute) => {
+    window.location.hash = buildRoute(nextRoute);
+  };
+
+  const handleSaveAiConfig = (config) => {
+    setAiConfig(config);
+    setEncryptedConfig(loadEncryptedConfig());
     setShowApiKeyModal(false);
     if (activeTab === 'welcome') {
-      setActiveTab('persona'); // Move to new first tab
+      navigate({ tab: 'persona' }); // Move to new first tab
     }
   };
 
-  const handleError = (message) => {
+  const handleForgetKey = () => {
+    forgetStoredKey();
+    setEncryptedConfig(null);
+    setAiConfig((prev) => (isDemoMode(prev) ? prev : { ...prev, apiKey: '' }));
+  };
+
+  const handleError = useCallback((message) => {
     setError(message);
     setTimeout(() => setError(null), 5000); // Auto-dismiss error
+  }, []);
+
+  useEffect(() => {
+    getActiveProject()
+      .then((activeProject) => setProject(activeProject))
+      .catch((err) => {
+        console.error(err);
+        handleError('Workspace storage is unavailable; results will not be saved.');
+      });
+  }, [handleError]);
+
+  // Opens a run linked from the URL, switching to the project it was saved in. Waits for the
+  // active project to load first, so that load can't switch the project back afterwards.
+  useEffect(() => {
+    if (!route.runId || !project || openedRunIdRef.current === route.runId) return;
+    openedRunIdRef.current = route.runId;
+    let cancelled = false;
+    const openLinkedRun = async () => {
+      const run = await getRun(route.runId);
+      if (cancelled) return;
+      if (!run || run.tool !== route.tab) {
+        handleError('That saved result is not in this browser\'s workspace.');
+        return;
+      }
+      if (run.projectId !== project.id) {
+        const owner = (await listProjects()).find((p) => p.id === run.projectId);
+        if (cancelled) return;
+        if (owner) {
+          setActiveProjectId(owner.id);
+          setProject(owner);
+        }
+      }
+      setRunsByTool((prev) => ({ ...prev, [run.tool]: run }));
+      setOpenedRunNonce((prev) => prev + 1);
+    };
+    openLinkedRun().catch((err) => {
+      console.error(err);
+      handleError('Failed to open the linked result.');
+    });
+    return () => { cancelled = true; };
+  }, [route.runId, route.tab, project, handleError]);
+
+  // A fresh result gets its own link in the address bar, without adding a history entry.
+  const handleRunSaved = (run) => {
+    setRunsByTool((prev) => ({ ...prev, [run.tool]: run }));
+    setWorkspaceRevision((prev) => prev + 1);
+    if (run.tool === activeTab) {
+      const runRoute = { tab: run.tool, runId: run.id, query: {} };
+      openedRunIdRef.current = run.id;
+      window.history.replaceState(null, '', buildRoute(runRoute));
+      setRoute(runRoute);
+    }
+  };
+
+  const handleOpenRun = (run) => {
+    setRunsByTool((prev) => ({ ...prev, [run.tool]: run }));
+    setOpenedRunNonce((prev) => prev + 1);
+    openedRunIdRef.current = run.id;
+    navigate({ tab: run.tool, runId: run.id });
+    setShowWorkspace(false);
+  };
+
+  const handleProjectChange = (nextProject) => {
+    if (!nextProject) return;
+    setActiveProjectId(nextProject.id);
+    setProject(nextProject);
+    setRunsByTool({});
+    setOpenedRunNonce((prev) => prev + 1);
+    if (route.runId) navigate({ tab: activeTab });
+  };
+
+  const handleSaveBrandProfile = (profile) => {
+    saveBrandProfile(profile);
+    setBrandProfile(profile);
+    setShowBrandProfile(false);
+  };
+
+  const keyProps = {
+    encryptedConfig,
+    onForgetKey: handleForgetKey,
+  };
+
+  // A link with query parameters starts the tab from those inputs instead of the latest run.
+  const hasPrefill = Object.keys(route.query).length > 0;
+
+  const toolProps = {
+    brandProfile,
+    projectId: project?.id,
+    onRunSaved: handleRunSaved,
+    initialInputs: hasPrefill ? route.query : undefined,
   };
 
   const renderTabContent = () => {
     switch (activeTab) {
       case 'welcome':
-        return <WelcomeTab onApiKeySave={handleSaveApiKey} />;
+        return <WelcomeTab aiConfig={aiConfig} onAiConfigSave={handleSaveAiConfig} {...keyProps} />;
       case 'persona': // ADDED
-        return <PersonaArchitectTab apiKey={apiKey} onError={handleError} />;
+        return <PersonaArchitectTab key={`persona-${openedRunNonce}`} ai={aiConfig} onError={handleError} initialRun={hasPrefill ? null : runsByTool.persona} {...toolProps} />;
       case 'analyzer':
-        return <MarketPositionAnalyzerTab apiKey={apiKey} onError={handleError} />;
+        return <MarketPositionAnalyzerTab key={`analyzer-${openedRunNonce}`} ai={aiConfig} onError={handleError} initialRun={hasPrefill ? null : runsByTool.analyzer} {...toolProps} />;
       case 'forge':
-        return <CampaignForgeTab apiKey={apiKey} onError={handleError} />;
+        return <CampaignForgeTab key={`forge-${openedRunNonce}`} ai={aiConfig} onError={handleError} initialRun={hasPrefill ? null : runsByTool.forge} {...toolProps} />;
+      case 'usage':
+        return <UsageTab project={project} onError={handleError} />;
       case 'pricing':
         return <PricingTab />;
       case 'about':
         return <AboutUsTab />;
       default:
-        return <WelcomeTab onApiKeySave={handleSaveApiKey} />;
+        return <WelcomeTab aiConfig={aiConfig} onAiConfigSave={handleSaveAiConfig} {...keyProps} />;
     }
   };
 
@@ -1631,16 +4368,42 @@ export default function App() {
       }}
     >
       <div className="relative z-10">
-        <AppHeader activeTab={activeTab} onTabClick={setActiveTab} />
+        <AppHeader
+          activeTab={activeTab}
+          onTabClick={(tab) => navigate({ tab })}
+          isDemo={isDemoMode(aiConfig)}
+          onWorkspaceClick={() => setShowWorkspace(true)}
+          onBrandProfileClick={() => setShowBrandProfile(true)}
+          keyStatus={{
+            aiConfig,
+            isKeyLocked: Boolean(encryptedConfig),
+            onKeyClick: () => navigate({ tab: 'welcome' }),
+            onForgetKey: handleForgetKey,
+          }}
+        />
         
         <main className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
           {renderTabContent()}
         </main>
 
         <Modal isOpen={showApiKeyModal && activeTab !== 'welcome'} onClose={() => {}}>
-          <WelcomeTab onApiKeySave={handleSaveApiKey} />
+          <WelcomeTab aiConfig={aiConfig} onAiConfigSave={handleSaveAiConfig} {...keyProps} />
         </Modal>
 
+        <Modal isOpen={showBrandProfile} onClose={() => setShowBrandProfile(false)}>
+          <BrandProfileForm profile={brandProfile} onSave={handleSaveBrandProfile} />
+        </Modal>
+
+        <WorkspaceSidebar
+          isOpen={showWorkspace}
+          onClose={() => setShowWorkspace(false)}
+          project={project}
+          onProjectChange={handleProjectChange}
+          revision={workspaceRevision}
+          onOpenRun={handleOpenRun}
+          onError={handleError}
+        />
+
         <ErrorToast message={error} onClose={() => setError(null)} />
       </div>
     </div>
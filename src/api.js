@@ -0,0 +1,195 @@
+import { getProvider, resolveAiConfig, isDemoMode } from './providers.js';
+import { parseAndValidate } from './schemaValidation.js';
+import { cacheKey, readCache, writeCache } from './responseCache.js';
+
+const MAX_REPORTED_ERRORS = 10;
+
+const citationInstructions = `
+    The text contains numbered source citations such as [1] or [2, 5].
+    Keep each citation marker at the end of every text value whose claim it supports, exactly as written.
+    Where an item has a "sources" array, fill it with the numbers of the sources behind that item's figures.
+    Never invent citation numbers that do not appear in the text.
+`;
+
+// Runs both steps against the provider, without the cache.
+const runGroundedJson = async (config, textPrompt, jsonSchema, setLoadingMessage, { signal, onGroundedText, onUsage }) => {
+  const provider = getProvider(config);
+
+  // The server proxy runs both steps itself and streams its progress back.
+  if (provider.groundedJson) {
+    return provider.groundedJson(config, textPrompt, jsonSchema, { signal, onStatus: setLoadingMessage, onText: onGroundedText, onUsage });
+  }
+
+  const reportUsage = (usage) => {
+    if (usage) onUsage?.({ kind: 'text', provider: config.provider, model: config.model, ...usage });
+  };
+
+  // Step 1: Get grounded text data (Google Search where the provider supports it)
+  setLoadingMessage(provider.supportsGrounding
+    ? "Step 1/2: Searching for grounded insights..."
+    : "Step 1/2: Researching insights...");
+
+  const { text: groundedText, sources = [], usage: researchUsage } = provider.streamGroundedText
+    ? await provider.streamGroundedText(config, textPrompt, { signal, onText: onGroundedText })
+    : await provider.groundedText(config, textPrompt, { signal });
+  reportUsage(researchUsage);
+  if (!groundedText) {
+    throw new Error('Step 1 Failed: No content returned from analysis.');
+  }
+
+  // Step 2: Parse the grounded text into the required JSON schema
+  setLoadingMessage("Step 2/2: Analyzing and structuring data...");
+
+  const parseJsonPrompt = `
+    Parse the following market analysis text and convert it into a valid JSON object matching the provided schema.
+    ${sources.length > 0 ? citationInstructions : ''}
+    TEXT TO PARSE:
+    ---
+    ${groundedText}
+    ---
+
+    Respond ONLY with the valid JSON object.
+  `;
+
+  const { text: jsonText, usage: parseUsage } = await provider.structuredJson(config, parseJsonPrompt, jsonSchema, { signal });
+  reportUsage(parseUsage);
+  if (!jsonText) {
+    throw new Error('Step 2 Failed: No JSON content returned from parsing.');
+  }
+
+  const firstAttempt = parseAndValidate(jsonText, jsonSchema);
+  if (firstAttempt.errors.length === 0) {
+    return { ...firstAttempt.value, sources };
+  }
+
+  // Re-prompt once with the validation errors before giving up.
+  console.warn("Model output failed validation, retrying:", firstAttempt.errors);
+  setLoadingMessage("Step 2/2: Repairing structured data...");
+
+  const repairPrompt = `
+    The JSON below was meant to match the provided schema but has these problems:
+    ${firstAttempt.errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `- ${e}`).join('\n    ')}
+
+    INVALID JSON:
+    ---
+    ${jsonText}
+    ---
+
+    SOURCE TEXT:
+    ---
+    ${groundedText}
+    ---
+
+    Return the corrected JSON object, filling any missing fields from the source text. Respond ONLY with the valid JSON object.
+    ${sources.length > 0 ? citationInstructions : ''}
+  `;
+
+  const { text: repairedText, usage: repairUsage } = await provider.structuredJson(config, repairPrompt, jsonSchema, { signal });
+  reportUsage(repairUsage);
+  const secondAttempt = parseAndValidate(repairedText || '', jsonSchema);
+  if (secondAttempt.errors.length > 0) {
+    throw new Error(`Step 2 Failed: Response did not match the expected format (${secondAttempt.errors.slice(0, 3).join('; ')}).`);
+  }
+  return { ...secondAttempt.value, sources };
+};
+
+// 2-Step Fetch Function: Grounded Text -> JSON Parsing
+// The result carries the step 1 web sources as `sources` (empty without grounding).
+// options.signal cancels every request in flight; options.onGroundedText receives the
+// step 1 research text as it streams in (for providers that can stream).
+// options.onUsage receives { kind: 'text', provider, model, promptTokens, outputTokens,
+// totalTokens } for every model call made.
+// Results are cached (see responseCache.js); a cached result carries `cachedAt`, and
+// options.forceRefresh skips the cache lookup.
+export const fetchGroundedJson = async (ai, textPrompt, jsonSchema, setLoadingMessage, options = {}) => {
+  const config = resolveAiConfig(ai);
+  // Demo data is free and instant, so it is never cached.
+  const key = isDemoMode(config) ? null : await cacheKey({ ...config, prompt: textPrompt, schema: jsonSchema });
+
+  if (key && !options.forceRefresh) {
+    const cached = await readCache(key);
+    if (cached) return { ...cached.value, cachedAt: cached.createdAt };
+  }
+
+  const data = await runGroundedJson(config, textPrompt, jsonSchema, setLoadingMessage, options);
+  if (key) await writeCache(key, data);
+  return data;
+};
+
+// Image generation through whichever provider is active. options.signal cancels it;
+// options.onUsage receives { kind: 'image', provider, model, images } once they arrive.
+export const generateImages = async (ai, prompt, sampleCount = 2, options = {}) => {
+  const config = resolveAiConfig(ai);
+  const provider = getProvider(config);
+  if (!provider.images) {
+    throw new Error(`${provider.label} does not support image generation.`);
+  }
+
+  const { images } = await provider.images(config, prompt, sampleCount, { signal: options.signal });
+  if (!images || images.length === 0) {
+    throw new Error('No images returned from API.');
+  }
+  options.onUsage?.({ kind: 'image', provider: config.provider, model: config.imageModel, images: images.length });
+  return images;
+};
+
+// One-step structured call with no research step, for conversational features such as the
+// persona chat. The output is validated like step 2 above, with one repair attempt.
+// options.signal cancels it; options.onUsage receives the usage of each model call.
+export const fetchStructuredJson = async (ai, prompt, jsonSchema, options = {}) => {
+  const { signal, onUsage } = options;
+  const config = resolveAiConfig(ai);
+  const provider = getProvider(config);
+  if (!provider.structuredJson) {
+    throw new Error(`${provider.label} does not support this feature.`);
+  }
+  const reportUsage = (usage) => {
+    if (usage) onUsage?.({ kind: 'text', provider: config.provider, model: config.model, ...usage });
+  };
+
+  const { text, usage } = await provider.structuredJson(config, prompt, jsonSchema, { signal });
+  reportUsage(usage);
+  const firstAttempt = parseAndValidate(text || '', jsonSchema);
+  if (firstAttempt.errors.length === 0) return firstAttempt.value;
+
+  console.warn("Model output failed validation, retrying:", firstAttempt.errors);
+  const repairPrompt = `
+    ${prompt}
+
+    Your previous answer did not match the required schema:
+    ${firstAttempt.errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `- ${e}`).join('\n    ')}
+
+    PREVIOUS ANSWER:
+    ---
+    ${text}
+    ---
+
+    Respond ONLY with the corrected JSON object.
+  `;
+  const { text: repairedText, usage: repairUsage } = await provider.structuredJson(config, repairPrompt, jsonSchema, { signal });
+  reportUsage(repairUsage);
+  const secondAttempt = parseAndValidate(repairedText || '', jsonSchema);
+  if (secondAttempt.errors.length > 0) {
+    throw new Error(`Response did not match the expected format (${secondAttempt.errors.slice(0, 3).join('; ')}).`);
+  }
+  return secondAttempt.value;
+};
+
+// Checks the key and endpoint with a cheap models list call before a config is activated.
+export const validateAiConfig = async (ai, options = {}) => {
+  const config = resolveAiConfig(ai);
+  const provider = getProvider(config);
+  if (provider.requiresKey && !config.apiKey.trim()) {
+    throw new Error(`Please enter your ${provider.label} ${provider.keyLabel || 'API key'}.`);
+  }
+  try {
+    await provider.listModels(config, { signal: options.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    if (err.status === 401 || err.status === 403 || err.status === 400) {
+      throw new Error(`${provider.label} rejected this ${provider.keyLabel || 'API key'}. Please check it and try again.`);
+    }
+    throw new Error(`Could not reach ${provider.label}: ${err.message}`);
+  }
+  return config;
+};
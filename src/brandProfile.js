@@ -0,0 +1,90 @@
+// --- Brand Profile ---
+// One shared description of the brand, kept in localStorage. Every tool pre-fills its
+// inputs from it and appends it to its prompts as context.
+
+const STORAGE_KEY = 'naya-daur:brand-profile';
+
+export const EMPTY_BRAND_PROFILE = {
+  name: '',
+  website: '',
+  markets: [],
+  productLines: [],
+  competitors: [],
+  toneOfVoice: '',
+  brandColors: [],
+};
+
+export const loadBrandProfile = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...EMPTY_BRAND_PROFILE, ...saved };
+  } catch {
+    return EMPTY_BRAND_PROFILE;
+  }
+};
+
+export const saveBrandProfile = (profile) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+};
+
+// Comma-separated text <-> list helpers for the profile form.
+export const splitList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+export const joinList = (items = []) => items.join(', ');
+
+// Markets are "City, Country" themselves, so they are separated by semicolons instead.
+export const splitMarkets = (text) => text.split(';').map((item) => item.trim()).filter(Boolean);
+export const joinMarkets = (items = []) => items.join('; ');
+
+/**
+ * Splits a market entry such as "Mumbai, India" into city and country.
+ * A single value is treated as the country.
+ */
+export const splitMarket = (market = '') => {
+  const parts = market.split(',').map((part) => part.trim()).filter(Boolean);
+  if (parts.length < 2) return { city: '', country: parts[0] || '' };
+  return { city: parts.slice(0, -1).join(', '), country: parts[parts.length - 1] };
+};
+
+/**
+ * Input values every tool can pick from, derived from the brand profile.
+ */
+export const brandInputDefaults = (profile = EMPTY_BRAND_PROFILE) => {
+  const primaryMarket = profile.markets[0] || '';
+  return {
+    companyName: profile.name,
+    website: profile.website,
+    location: primaryMarket,
+    ...splitMarket(primaryMarket),
+    product: profile.productLines[0] || '',
+    competitors: joinList(profile.competitors),
+  };
+};
+
+/**
+ * Fills the given empty input object from the brand profile, only for keys it declares.
+ */
+export const prefillInputs = (emptyInputs, profile) => {
+  const defaults = brandInputDefaults(profile);
+  return Object.fromEntries(
+    Object.entries(emptyInputs).map(([key, value]) => [key, value || defaults[key] || ''])
+  );
+};
+
+/**
+ * Brand context block appended to every prompt. Empty when no profile has been set.
+ */
+export const brandContextPrompt = (profile = EMPTY_BRAND_PROFILE) => {
+  const lines = [
+    profile.name && `- Brand: ${profile.name}${profile.website ? ` (${profile.website})` : ''}`,
+    profile.markets.length > 0 && `- Markets: ${joinMarkets(profile.markets)}`,
+    profile.productLines.length > 0 && `- Product lines: ${joinList(profile.productLines)}`,
+    profile.competitors.length > 0 && `- Competitors: ${joinList(profile.competitors)}`,
+    profile.toneOfVoice && `- Tone of voice: ${profile.toneOfVoice}`,
+    profile.brandColors.length > 0 && `- Brand colours: ${joinList(profile.brandColors)}`,
+  ].filter(Boolean);
+  if (lines.length === 0) return '';
+  return `
+      Brand context (use it to tailor everything you write):
+      ${lines.join('\n      ')}
+  `;
+};
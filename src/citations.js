@@ -0,0 +1,92 @@
+// --- Grounding Citations ---
+// Grounded text carries numbered source markers such as "[2]" or "[1, 3]" that point into
+// the run's `sources` list: [{ id, title, uri }]. Step 2 keeps the markers in the
+// structured output, so individual claims stay linked to the sources behind them.
+
+const CITATION_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Splits text into plain strings and citation groups: ['Claim', { ids: [1, 3] }, '.'].
+ */
+export const splitCitations = (value = '') => {
+  const text = String(value);
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+    parts.push({ ids: match[1].split(',').map((id) => Number(id.trim())) });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+  return parts;
+};
+
+// For text reused outside its run (chained prompts), where the numbers mean nothing.
+export const stripCitations = (text = '') => String(text).replace(CITATION_PATTERN, '');
+
+/**
+ * Numbers the web sources behind a Gemini grounded answer and inserts [n] markers after
+ * each segment they support.
+ */
+export const applyGroundingMetadata = (text, metadata) => {
+  const sources = (metadata?.groundingChunks || []).map((chunk, index) => ({
+    id: index + 1,
+    title: chunk.web?.title || chunk.web?.uri || `Source ${index + 1}`,
+    uri: chunk.web?.uri || '',
+  }));
+  if (!text || sources.length === 0) return { text, sources };
+
+  // Segment offsets are byte based, so segments are located by their text where possible.
+  const insertions = (metadata.groundingSupports || [])
+    .filter((support) => support.groundingChunkIndices?.length > 0)
+    .map((support) => {
+      const { text: segmentText, endIndex } = support.segment || {};
+      const found = segmentText ? text.indexOf(segmentText) : -1;
+      return {
+        at: found >= 0 ? found + segmentText.length : Math.min(endIndex ?? text.length, text.length),
+        marker: ` [${support.groundingChunkIndices.map((i) => i + 1).join(', ')}]`,
+      };
+    })
+    .sort((a, b) => b.at - a.at);
+
+  let annotated = text;
+  for (const { at, marker } of insertions) {
+    annotated = annotated.slice(0, at) + marker + annotated.slice(at);
+  }
+  return { text: annotated, sources };
+};
+
+/**
+ * Adds the sources of a follow-up request (e.g. regenerating one part of a result) to a
+ * run's list. Sources already listed are matched by URI. Returns the merged list and a
+ * `renumber` function that rewrites the follow-up's markers (in a string, or any
+ * array/object of strings) to the merged numbering.
+ */
+export const mergeSources = (sources = [], incoming = []) => {
+  const merged = [...sources];
+  const idMap = new Map();
+  for (const source of incoming) {
+    const existing = merged.find((s) => s.uri && s.uri === source.uri);
+    if (existing) {
+      idMap.set(source.id, existing.id);
+    } else {
+      const id = merged.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+      merged.push({ ...source, id });
+      idMap.set(source.id, id);
+    }
+  }
+
+  const renumberText = (text) => text.replace(CITATION_PATTERN, (match, ids) => {
+    const mapped = ids.split(',').map((id) => idMap.get(Number(id.trim()))).filter(Boolean);
+    return mapped.length > 0 ? `${match.slice(0, match.indexOf('['))}[${mapped.join(', ')}]` : '';
+  });
+  const renumber = (value) => {
+    if (typeof value === 'string') return renumberText(value);
+    if (Array.isArray(value)) return value.map(renumber);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renumber(item)]));
+    }
+    return value;
+  };
+  return { sources: merged, renumber };
+};
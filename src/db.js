@@ -0,0 +1,49 @@
+// --- IndexedDB ---
+// The app's single local database. Stores:
+//   projects  - workspace projects
+//   runs      - saved tool runs, indexed by projectId
+//   responses - cached grounded responses, keyed by request hash (since version 2)
+//   usage     - the usage ledger, one entry per model call, indexed by projectId (since version 3)
+
+const DB_NAME = 'naya-daur';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('projects')) {
+          db.createObjectStore('projects', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('runs')) {
+          const runs = db.createObjectStore('runs', { keyPath: 'id' });
+          runs.createIndex('projectId', 'projectId');
+        }
+        if (!db.objectStoreNames.contains('responses')) {
+          db.createObjectStore('responses', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('usage')) {
+          const usage = db.createObjectStore('usage', { keyPath: 'id' });
+          usage.createIndex('projectId', 'projectId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+export const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return requestToPromise(fn(db.transaction(storeName, mode).objectStore(storeName)));
+};
@@ -0,0 +1,134 @@
+import { TOOL_LABELS } from './workspace.js';
+
+// --- Plan Entitlements ---
+// A local billing stub: the active plan and how many runs each tool (and how many image
+// generations) have been used this billing period, kept in localStorage. Billing periods are
+// calendar months. Persona runs include the follow-ups on a persona set: regenerations, chat
+// replies and focus group sessions. Images cover campaign images and persona portraits.
+// A plan's limit is either enforced ('block': no more runs until the period resets) or only
+// warned about ('warn': runs continue and count as overage). Tools without a limit are unmetered.
+
+const STORAGE_KEY = 'naya-daur:billing';
+
+export const PLANS = [
+  {
+    id: 'starter',
+    name: 'Starter',
+    price: '$99',
+    users: 1,
+    limits: { persona: 30, analyzer: 10, forge: 5, images: 10 },
+    enforcement: 'block',
+    extras: ['Email Support'],
+  },
+  {
+    id: 'pro',
+    name: 'Pro',
+    price: '$299',
+    users: 5,
+    limits: { persona: 150, analyzer: 50, forge: 25, images: 50 },
+    enforcement: 'warn',
+    extras: ['Priority Support', 'API Access'],
+    isFeatured: true,
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise',
+    price: 'Contact Us',
+    users: null, // Unlimited
+    limits: {},
+    enforcement: 'warn',
+    extras: ['Custom Integrations', 'Dedicated Strategist'],
+  },
+];
+
+export const DEFAULT_PLAN_ID = 'starter';
+
+// Remaining runs at or below this are shown as a warning.
+export const LOW_QUOTA_THRESHOLD = 2;
+
+export const QUOTA_NOUNS = {
+  persona: 'Persona Runs',
+  analyzer: 'Market Analyses',
+  forge: 'Campaign Forges',
+  images: 'Image Generations',
+};
+
+const currentPeriod = (date = new Date()) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const nextPeriodStart = (date = new Date()) => new Date(date.getFullYear(), date.getMonth() + 1, 1);
+
+// Counts from an earlier period are dropped on read, which is all a "reset" needs.
+const loadBilling = () => {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Treated as a fresh account below
+  }
+  const planId = PLANS.some((plan) => plan.id === saved?.planId) ? saved.planId : DEFAULT_PLAN_ID;
+  const period = currentPeriod();
+  return { planId, period, counts: saved?.period === period ? saved.counts || {} : {} };
+};
+
+const saveBilling = (billing) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(billing));
+};
+
+export const getActivePlan = () => PLANS.find((plan) => plan.id === loadBilling().planId);
+
+/**
+ * Switches plan. Runs already used this period still count against the new plan.
+ */
+export const setActivePlan = (planId) => {
+  if (!PLANS.some((plan) => plan.id === planId)) throw new Error(`Unknown plan: ${planId}`);
+  saveBilling({ ...loadBilling(), planId });
+};
+
+/**
+ * The tool's allowance this period: { planName, limit, used, remaining, enforcement, resetsAt }.
+ * limit and remaining are null for unmetered tools; remaining goes negative on 'warn' overage.
+ */
+export const getQuota = (tool) => {
+  const billing = loadBilling();
+  const plan = PLANS.find((p) => p.id === billing.planId);
+  const limit = plan.limits[tool] ?? null;
+  const used = billing.counts[tool] || 0;
+  return {
+    planName: plan.name,
+    limit,
+    used,
+    remaining: limit === null ? null : limit - used,
+    enforcement: plan.enforcement,
+    resetsAt: nextPeriodStart().getTime(),
+  };
+};
+
+/**
+ * Whether another run may start: { allowed, message }. message explains a block, or warns
+ * that the run will be overage.
+ */
+export const checkQuota = (tool) => {
+  const quota = getQuota(tool);
+  if (quota.limit === null || quota.remaining > 0) return { allowed: true, message: null };
+  const resets = new Date(quota.resetsAt).toLocaleDateString();
+  const noun = QUOTA_NOUNS[tool] || `${TOOL_LABELS[tool]} runs`;
+  if (quota.enforcement === 'block') {
+    return {
+      allowed: false,
+      message: `You've used all ${quota.limit} ${noun} on the ${quota.planName} plan. The limit resets on ${resets}, or upgrade on the Pricing tab.`,
+    };
+  }
+  return {
+    allowed: true,
+    message: `You're over the ${quota.limit} ${noun} included in the ${quota.planName} plan; this run counts as overage.`,
+  };
+};
+
+/**
+ * Counts one completed run of a tool and returns its updated quota.
+ */
+export const consumeQuota = (tool) => {
+  const billing = loadBilling();
+  saveBilling({ ...billing, counts: { ...billing.counts, [tool]: (billing.counts[tool] || 0) + 1 } });
+  return getQuota(tool);
+};
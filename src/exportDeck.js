@@ -0,0 +1,212 @@
+import PptxGenJS from 'pptxgenjs';
+import { stripCitations } from './citations.js';
+
+// --- Slide Deck Export ---
+// Builds a 16:9 pitch deck from a Campaign Forge result, entirely client-side.
+
+const DECK = {
+  background: '1E1A3D',
+  card: '2B2456',
+  accent: '9E78F0',
+  accentSecondary: '7A5CFA',
+  text: 'FFFFFF',
+  muted: 'D9D4E7',
+  font: 'Helvetica',
+};
+
+const SLIDE_WIDTH = 13.33;
+const MARGIN_X = 0.6;
+const CONTENT_WIDTH = SLIDE_WIDTH - MARGIN_X * 2;
+
+const slugify = (text) => (text || 'campaign').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * PowerPoint only embeds raster images reliably, so anything else (e.g. the demo SVGs)
+ * is redrawn onto a canvas first. Returns pptxgenjs's "image/png;base64,..." form, or
+ * null if the image can't be read (e.g. a cross-origin URL).
+ */
+const toPptxImageData = async (src) => {
+  if (/^data:image\/(png|jpe?g);base64,/.test(src)) {
+    return src.replace(/^data:/, '');
+  }
+  try {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = src;
+    await image.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth || 1024;
+    canvas.height = image.naturalHeight || 1024;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png').replace(/^data:/, '');
+  } catch (err) {
+    console.warn('Skipping image that could not be embedded:', err);
+    return null;
+  }
+};
+
+const addTitle = (slide, title, kicker) => {
+  if (kicker) {
+    slide.addText(kicker.toUpperCase(), {
+      x: MARGIN_X, y: 0.35, w: CONTENT_WIDTH, h: 0.35,
+      fontFace: DECK.font, fontSize: 12, bold: true, color: DECK.accent, charSpacing: 2,
+    });
+  }
+  slide.addText(title, {
+    x: MARGIN_X, y: 0.7, w: CONTENT_WIDTH, h: 0.8,
+    fontFace: DECK.font, fontSize: 30, bold: true, color: DECK.text,
+  });
+};
+
+// `inset` leaves room above the text, e.g. for a portrait.
+const addCard = (slide, { x, y, w, h, heading, body, inset = 0 }) => {
+  slide.addShape('roundRect', {
+    x, y, w, h, rectRadius: 0.12,
+    fill: { color: DECK.card }, line: { color: DECK.accentSecondary, width: 0.75 },
+  });
+  slide.addText([
+    { text: heading, options: { fontSize: 15, bold: true, color: DECK.accent, breakLine: true } },
+    { text: body || '', options: { fontSize: 13, color: DECK.muted } },
+  ], {
+    x: x + 0.2, y: y + 0.15 + inset, w: w - 0.4, h: h - 0.3 - inset,
+    fontFace: DECK.font, valign: 'top', paraSpaceAfter: 6, fit: 'shrink',
+  });
+};
+
+/**
+ * Builds and downloads the Campaign Forge deck. personaAvatars maps target persona keys to
+ * their portraits.
+ */
+export const exportCampaignDeck = async ({ inputs, result, conceptImages = {}, personaAvatars = {}, generatedAt }) => {
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = `${inputs.companyName || 'Campaign'} Campaign Strategy`;
+  pptx.company = 'Naya Daur';
+
+  pptx.defineSlideMaster({
+    title: 'NAYA_DAUR',
+    background: { color: DECK.background },
+    objects: [
+      { rect: { x: 0, y: 7.3, w: SLIDE_WIDTH, h: 0.2, fill: { color: DECK.accent } } },
+      { text: { text: 'Naya Daur', options: { x: MARGIN_X, y: 6.85, w: 3, h: 0.35, fontFace: DECK.font, fontSize: 10, color: DECK.muted } } },
+    ],
+    slideNumber: { x: SLIDE_WIDTH - 1.1, y: 6.85, w: 0.6, h: 0.35, fontFace: DECK.font, fontSize: 10, color: DECK.muted },
+  });
+
+  const location = [inputs.city, inputs.country].filter(Boolean).join(', ');
+
+  // Title slide
+  const titleSlide = pptx.addSlide();
+  titleSlide.background = { color: DECK.background };
+  titleSlide.addShape('rect', { x: 0, y: 0, w: 0.25, h: 7.5, fill: { color: DECK.accent } });
+  titleSlide.addText('NAYA DAUR  |  CAMPAIGN FORGE', {
+    x: 0.9, y: 1.2, w: 11, h: 0.4, fontFace: DECK.font, fontSize: 14, bold: true, color: DECK.accent, charSpacing: 3,
+  });
+  titleSlide.addText(inputs.companyName || 'Campaign Strategy', {
+    x: 0.9, y: 2.2, w: 11.5, h: 1.4, fontFace: DECK.font, fontSize: 48, bold: true, color: DECK.text,
+  });
+  titleSlide.addText(result.framework.coreMessage || '', {
+    x: 0.9, y: 3.6, w: 11.5, h: 0.9, fontFace: DECK.font, fontSize: 22, italic: true, color: DECK.muted,
+  });
+  titleSlide.addText([location, new Date(generatedAt).toLocaleDateString(undefined, { dateStyle: 'long' })].filter(Boolean).join('  |  '), {
+    x: 0.9, y: 5.6, w: 11.5, h: 0.5, fontFace: DECK.font, fontSize: 16, color: DECK.muted,
+  });
+
+  // Strategy & rationale
+  const strategySlide = pptx.addSlide({ masterName: 'NAYA_DAUR' });
+  addTitle(strategySlide, 'Strategy & Rationale', 'The Big Idea');
+  const hasCitations = result.citedInsights?.length > 0;
+  addCard(strategySlide, { x: MARGIN_X, y: 1.7, w: hasCitations ? 7.6 : CONTENT_WIDTH, h: 2.3, heading: 'Campaign Strategy', body: result.strategy });
+  addCard(strategySlide, { x: MARGIN_X, y: 4.2, w: hasCitations ? 7.6 : CONTENT_WIDTH, h: 2.4, heading: 'Rationale', body: result.rationale });
+  if (hasCitations) {
+    addCard(strategySlide, {
+      x: 8.45, y: 1.7, w: 4.28, h: 4.9,
+      heading: 'Built on Market Analysis',
+      body: result.citedInsights.map((insight) => `• ${insight}`).join('\n'),
+    });
+  }
+
+  // KPIs
+  const kpiSlide = pptx.addSlide({ masterName: 'NAYA_DAUR' });
+  addTitle(kpiSlide, 'Conservative KPI Estimations', 'Measuring Success');
+  const kpiWidth = (CONTENT_WIDTH - 0.3 * (result.kpis.length - 1)) / Math.max(result.kpis.length, 1);
+  result.kpis.forEach((kpi, index) => {
+    const x = MARGIN_X + index * (kpiWidth + 0.3);
+    kpiSlide.addShape('roundRect', { x, y: 2.3, w: kpiWidth, h: 3, rectRadius: 0.12, fill: { color: DECK.card }, line: { color: DECK.accentSecondary, width: 0.75 } });
+    kpiSlide.addText(kpi.value, { x, y: 2.7, w: kpiWidth, h: 1.2, align: 'center', fontFace: DECK.font, fontSize: 34, bold: true, color: DECK.accent, fit: 'shrink' });
+    kpiSlide.addText(kpi.metric, { x: x + 0.2, y: 4.0, w: kpiWidth - 0.4, h: 1, align: 'center', fontFace: DECK.font, fontSize: 15, color: DECK.muted, fit: 'shrink' });
+  });
+
+  // Framework, two sections per slide
+  const frameworkSections = [
+    ['Core Message', result.framework.coreMessage],
+    ['Channel Strategy', result.framework.channelStrategy],
+    ['Content Calendar', result.framework.contentCalendar],
+    ['Risk Mitigation', result.framework.riskMitigation],
+  ];
+  for (let i = 0; i < frameworkSections.length; i += 2) {
+    const slide = pptx.addSlide({ masterName: 'NAYA_DAUR' });
+    addTitle(slide, 'Strategic Framework', `Framework ${i / 2 + 1} of 2`);
+    frameworkSections.slice(i, i + 2).forEach(([heading, body], j) => {
+      addCard(slide, { x: MARGIN_X + j * 6.2, y: 1.7, w: 5.9, h: 4.9, heading, body });
+    });
+  }
+
+  // Target personas chained from Persona Architect
+  if (inputs.targetPersonas?.length > 0) {
+    const personaSlide = pptx.addSlide({ masterName: 'NAYA_DAUR' });
+    addTitle(personaSlide, 'Who We Are Talking To', 'Target Personas');
+    const personas = inputs.targetPersonas.slice(0, 4);
+    const width = (CONTENT_WIDTH - 0.3 * (personas.length - 1)) / personas.length;
+    const portraits = await Promise.all(personas.map((persona) => (
+      personaAvatars[persona.key] ? toPptxImageData(personaAvatars[persona.key]) : null
+    )));
+    const portraitSize = 1.2;
+    personas.forEach((persona, index) => {
+      const x = MARGIN_X + index * (width + 0.3);
+      addCard(personaSlide, {
+        x, y: 1.7, w: width, h: 4.9,
+        heading: `${persona.name}, ${persona.age}`,
+        // Persona citations point at the persona run's sources, not this deck's.
+        body: stripCitations(`${persona.role}\n\nPain points: ${persona.painPoints.join('; ')}\n\nKey message: "${persona.keyMessage}"`),
+        inset: portraits[index] ? portraitSize + 0.15 : 0,
+      });
+      if (portraits[index]) {
+        personaSlide.addImage({
+          data: portraits[index], x: x + (width - portraitSize) / 2, y: 1.85, w: portraitSize, h: portraitSize, rounding: true,
+        });
+      }
+    });
+  }
+
+  // One slide per concept, with its generated images
+  for (const [index, concept] of result.concepts.entries()) {
+    const slide = pptx.addSlide({ masterName: 'NAYA_DAUR' });
+    addTitle(slide, concept.title, `Concept ${index + 1} of ${result.concepts.length}`);
+    const images = (await Promise.all((conceptImages[concept.id] || []).slice(0, 2).map(toPptxImageData))).filter(Boolean);
+    const textWidth = images.length > 0 ? 6.2 : CONTENT_WIDTH;
+
+    slide.addText([
+      { text: concept.summary, options: { fontSize: 16, color: DECK.text, breakLine: true } },
+      ...(concept.targetPersona ? [{ text: `Target persona: ${concept.targetPersona}`, options: { fontSize: 14, bold: true, color: DECK.accent, breakLine: true } }] : []),
+    ], { x: MARGIN_X, y: 1.7, w: textWidth, h: 2.3, fontFace: DECK.font, valign: 'top', paraSpaceAfter: 10, fit: 'shrink' });
+    addCard(slide, { x: MARGIN_X, y: 4.2, w: textWidth, h: 2.4, heading: 'Visual Idea', body: concept.visualIdea });
+
+    images.forEach((data, i) => {
+      const size = images.length > 1 ? 2.7 : 4.9;
+      slide.addImage({ data, x: 7.2 + i * (size + 0.15), y: 1.7, w: size, h: size, rounding: false });
+    });
+  }
+
+  // Sources behind the [n] markers in the strategy text
+  if (result.sources?.length > 0) {
+    const sourcesSlide = pptx.addSlide({ masterName: 'NAYA_DAUR' });
+    addTitle(sourcesSlide, 'Sources', 'Research');
+    sourcesSlide.addText(result.sources.slice(0, 12).map((source) => ({
+      text: `[${source.id}] ${source.title}`,
+      options: { hyperlink: { url: source.uri }, color: DECK.muted, breakLine: true },
+    })), { x: MARGIN_X, y: 1.7, w: CONTENT_WIDTH, h: 4.9, fontFace: DECK.font, fontSize: 14, valign: 'top', paraSpaceAfter: 6, fit: 'shrink' });
+  }
+
+  await pptx.writeFile({ fileName: `campaign-deck-${slugify(inputs.companyName)}-${new Date(generatedAt).toISOString().slice(0, 10)}.pptx` });
+};
@@ -0,0 +1,338 @@
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+
+// --- PDF Export ---
+// Branded client-side PDF reports. Charts are captured from the rendered recharts SVGs
+// (elements marked with data-export-chart) and rasterised at high resolution.
+
+const BRAND = {
+  background: [30, 26, 61],
+  card: [43, 36, 86],
+  accent: [158, 120, 240],
+  accentDark: [122, 92, 250],
+  heading: [43, 36, 86],
+  text: [51, 48, 72],
+  muted: [110, 104, 135],
+  white: [255, 255, 255],
+  lavender: [217, 212, 231],
+};
+
+const MARGIN = 48;
+const CHART_SCALE = 3; // Raster scale for chart captures; 3x keeps them sharp in print.
+
+// Legend colours come from the DOM as rgb()/hex strings; jsPDF wants numeric RGB.
+const toRgb = (color) => {
+  const rgb = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color || '');
+  if (rgb) return rgb.slice(1, 4).map(Number);
+  const hex = /^#([0-9a-f]{6})$/i.exec(color || '');
+  if (hex) return [0, 2, 4].map((i) => parseInt(hex[1].slice(i, i + 2), 16));
+  return BRAND.accent;
+};
+
+const slugify = (text) => (text || 'report').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  dateStyle: 'long',
+  timeStyle: 'short',
+});
+
+/**
+ * Rasterises the main recharts SVG inside a chart container and reads its legend entries.
+ */
+const captureChart = async (container) => {
+  // Legend icons are tiny SVGs too; the chart itself is the largest one.
+  const svg = [...container.querySelectorAll('svg.recharts-surface')]
+    .sort((a, b) => (b.clientWidth * b.clientHeight) - (a.clientWidth * a.clientHeight))[0];
+  if (!svg) return null;
+
+  const width = svg.clientWidth;
+  const height = svg.clientHeight;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('font-family', 'Helvetica, Arial, sans-serif');
+
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(clone))}`;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * CHART_SCALE;
+  canvas.height = height * CHART_SCALE;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = `rgb(${BRAND.card.join(',')})`;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const legend = [...container.querySelectorAll('.recharts-legend-item')].map((item) => ({
+    label: item.textContent.trim(),
+    color: toRgb(item.querySelector('.recharts-legend-item-text')?.style.color),
+  }));
+
+  return {
+    title: container.dataset.exportChart,
+    dataUrl: canvas.toDataURL('image/png'),
+    aspect: height / width,
+    legend,
+  };
+};
+
+export const captureCharts = async (root) => {
+  if (!root) return [];
+  const containers = [...root.querySelectorAll('[data-export-chart]')];
+  const charts = await Promise.all(containers.map(captureChart));
+  return charts.filter(Boolean);
+};
+
+/**
+ * Small layout helper around a jsPDF document: tracks the cursor and breaks pages.
+ */
+const createWriter = (doc) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - MARGIN * 2;
+  let y = MARGIN;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  return {
+    doc,
+    pageWidth,
+    pageHeight,
+    contentWidth,
+    get y() { return y; },
+    set y(value) { y = value; },
+    ensureSpace,
+
+    newPage() {
+      doc.addPage();
+      y = MARGIN;
+    },
+
+    heading(text, size = 18) {
+      ensureSpace(size + 16);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(size);
+      doc.setTextColor(...BRAND.heading);
+      doc.text(text, MARGIN, y + size);
+      y += size + 6;
+      doc.setDrawColor(...BRAND.accent);
+      doc.setLineWidth(1.5);
+      doc.line(MARGIN, y, MARGIN + 40, y);
+      y += 14;
+    },
+
+    subheading(text) {
+      ensureSpace(28);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(12);
+      doc.setTextColor(...BRAND.accentDark);
+      doc.text(text, MARGIN, y + 12);
+      y += 20;
+    },
+
+    paragraph(text, { color = BRAND.text, size = 10.5 } = {}) {
+      if (!text) return;
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+      const lineHeight = size * 1.45;
+      for (const line of doc.splitTextToSize(String(text), contentWidth)) {
+        ensureSpace(lineHeight);
+        doc.text(line, MARGIN, y + size);
+        y += lineHeight;
+      }
+      y += 8;
+    },
+
+    list(items = [], { numbered = false } = {}) {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10.5);
+      doc.setTextColor(...BRAND.text);
+      items.forEach((item, i) => {
+        const lines = doc.splitTextToSize(String(item), contentWidth - 18);
+        lines.forEach((line, lineIndex) => {
+          ensureSpace(15);
+          if (lineIndex === 0 && numbered) {
+            doc.text(`${i + 1}.`, MARGIN, y + 10.5);
+          } else if (lineIndex === 0) {
+            doc.setFillColor(...BRAND.accent);
+            doc.circle(MARGIN + 3, y + 7, 2.2, 'F');
+          }
+          doc.text(line, MARGIN + 18, y + 10.5);
+          y += 15;
+        });
+      });
+      y += 8;
+    },
+
+    table(head, body) {
+      autoTable(doc, {
+        head: [head],
+        body,
+        startY: y,
+        margin: { left: MARGIN, right: MARGIN },
+        styles: { font: 'helvetica', fontSize: 9.5, textColor: BRAND.text, cellPadding: 6 },
+        headStyles: { fillColor: BRAND.card, textColor: BRAND.white, fontStyle: 'bold' },
+        alternateRowStyles: { fillColor: [245, 242, 252] },
+      });
+      y = doc.lastAutoTable.finalY + 18;
+    },
+
+    chart(chart, width = contentWidth) {
+      const height = width * chart.aspect;
+      const legendHeight = chart.legend.length > 0 ? 18 : 0;
+      ensureSpace(height + legendHeight + 40);
+      this.subheading(chart.title);
+      doc.setFillColor(...BRAND.card);
+      doc.roundedRect(MARGIN, y, width, height + legendHeight + 8, 6, 6, 'F');
+      doc.addImage(chart.dataUrl, 'PNG', MARGIN, y, width, height);
+      let x = MARGIN + 12;
+      doc.setFontSize(9);
+      for (const entry of chart.legend) {
+        doc.setFillColor(...entry.color);
+        doc.rect(x, y + height + 2, 8, 8, 'F');
+        doc.setTextColor(...BRAND.lavender);
+        doc.text(entry.label, x + 12, y + height + 9);
+        x += doc.getTextWidth(entry.label) + 28;
+      }
+      y += height + legendHeight + 24;
+    },
+  };
+};
+
+const drawCoverPage = (writer, { kicker, title, details, generatedAt }) => {
+  const { doc, pageWidth, pageHeight } = writer;
+  doc.setFillColor(...BRAND.background);
+  doc.rect(0, 0, pageWidth, pageHeight, 'F');
+  doc.setFillColor(...BRAND.accent);
+  doc.rect(0, 0, 12, pageHeight, 'F');
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.setTextColor(...BRAND.accent);
+  doc.text('NAYA DAUR', MARGIN, 96);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.setTextColor(...BRAND.lavender);
+  doc.text(kicker, MARGIN, 114);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(32);
+  doc.setTextColor(...BRAND.white);
+  const titleLines = doc.splitTextToSize(title, pageWidth - MARGIN * 2);
+  doc.text(titleLines, MARGIN, 260);
+
+  let y = 260 + titleLines.length * 38 + 24;
+  doc.setFontSize(11);
+  for (const [label, value] of details) {
+    if (!value) continue;
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...BRAND.accent);
+    doc.text(label.toUpperCase(), MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...BRAND.white);
+    const lines = doc.splitTextToSize(String(value), pageWidth - MARGIN * 2);
+    doc.text(lines, MARGIN, y + 16);
+    y += 16 + lines.length * 14 + 14;
+  }
+
+  doc.setFontSize(10);
+  doc.setTextColor(...BRAND.lavender);
+  doc.text(`Generated ${formatTimestamp(generatedAt)}`, MARGIN, pageHeight - MARGIN);
+};
+
+const drawFooters = (doc, label) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  // The cover page (page 1) stays clean.
+  for (let page = 2; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8.5);
+    doc.setTextColor(...BRAND.muted);
+    doc.text(`Naya Daur | ${label}`, MARGIN, pageHeight - 24);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, pageHeight - 24, { align: 'right' });
+  }
+};
+
+/**
+ * Builds and downloads the Market Analyzer report.
+ */
+export const exportMarketAnalysisPdf = async ({ inputs, result, chartsRoot, generatedAt }) => {
+  const charts = await captureCharts(chartsRoot);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const writer = createWriter(doc);
+
+  drawCoverPage(writer, {
+    kicker: 'Market Position Analysis',
+    title: inputs.companyName || 'Market Position Analysis',
+    details: [
+      ['Location', inputs.location],
+      ['Product / Service', inputs.product],
+      ['Competitors', inputs.competitors],
+      ['Website', inputs.website],
+    ],
+    generatedAt,
+  });
+
+  writer.newPage();
+  writer.heading('Market Analysis');
+  writer.subheading('Cultural Insights');
+  writer.paragraph(result.culturalInsights);
+  writer.subheading('Market Sentiment Analysis');
+  writer.paragraph(`${result.marketSentiment.positive}% positive, ${result.marketSentiment.neutral}% neutral, ${result.marketSentiment.negative}% negative.`);
+  writer.paragraph(result.marketSentiment.summary);
+  writer.subheading('Consumer Sentiment Analysis');
+  writer.paragraph(result.consumerSentimentAnalysis);
+  writer.subheading('Key Cultural Themes');
+  writer.list(result.keyCulturalThemes);
+  writer.subheading('Recommendations');
+  writer.list(result.recommendations, { numbered: true });
+
+  writer.heading('Cultural Value Alignment');
+  writer.table(
+    ['Cultural Value / Trait', 'Brand Alignment', 'Implication for Success'],
+    result.culturalValueAlignment.map((item) => [item.trait, item.alignment, item.implication])
+  );
+
+  writer.heading('Regional Performance');
+  writer.table(
+    ['Region', 'Sentiment', 'Summary'],
+    result.regionalPerformance.map((item) => [item.region, item.sentiment, item.summary])
+  );
+
+  writer.heading('Benchmark Figures');
+  const cite = (item) => (item.sources?.length > 0 ? `[${item.sources.join(', ')}]` : '');
+  writer.table(
+    ['Metric', 'Your Brand', 'Industry Average', 'Sources'],
+    result.performanceBenchmarks.map((item) => [item.metric, item.yourBrand, item.industryAverage, cite(item)])
+  );
+  writer.table(
+    ['Metric', 'Your Brand', 'Competitor 1', 'Competitor 2', 'Sources'],
+    result.competitorBenchmarks.map((item) => [item.metric, item.yourBrand, item.competitor1, item.competitor2, cite(item)])
+  );
+
+  if (charts.length > 0) {
+    writer.newPage();
+    writer.heading('Charts');
+    for (const chart of charts) {
+      writer.chart(chart);
+    }
+  }
+
+  if (result.sources?.length > 0) {
+    writer.heading('Sources');
+    writer.list(result.sources.map((source) => `[${source.id}] ${source.title} — ${source.uri}`));
+  }
+
+  drawFooters(doc, `Market Position Analysis for ${inputs.companyName || 'your brand'}`);
+  doc.save(`market-analysis-${slugify(inputs.companyName)}-${new Date(generatedAt).toISOString().slice(0, 10)}.pdf`);
+};
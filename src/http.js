@@ -0,0 +1,136 @@
+// --- HTTP Helpers ---
+
+export const DEFAULT_TIMEOUT_MS = 120000;
+
+// Streamed research can legitimately run for minutes; everything else uses the default timeout.
+export const STREAM_TIMEOUT_MS = 300000;
+
+// Key checks should answer quickly or not at all.
+export const VALIDATION_TIMEOUT_MS = 15000;
+
+// Throttling and transient server errors are worth another attempt; other 4xx errors
+// (bad key, bad request) will fail the same way every time.
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Waits between retries, but stops waiting as soon as the request is cancelled.
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry-After is either a number of seconds or an HTTP date.
+const retryAfterMs = (response, fallback) => {
+  const header = response.headers.get('Retry-After');
+  if (!header) return fallback;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+  return Number.isFinite(ms) && ms >= 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : fallback;
+};
+
+const timeoutError = (timeout) => new Error(`Request timed out after ${Math.round(timeout / 1000)} seconds. Please try again.`);
+
+/**
+ * A wrapper for fetch that includes exponential backoff. Resolves with the raw Response,
+ * so streaming callers can read the body themselves.
+ * Besides the usual fetch options it accepts `timeout` (ms per attempt, 0 for none);
+ * `signal` cancels the request and any pending retry with an AbortError.
+ */
+export const fetchResponseWithBackoff = async (url, options = {}, retries = 3, delay = 1000) => {
+  const { timeout = DEFAULT_TIMEOUT_MS, signal, ...fetchOptions } = options;
+  const signals = [signal, timeout ? AbortSignal.timeout(timeout) : null].filter(Boolean);
+
+  let response;
+  try {
+    response = await fetch(url, { ...fetchOptions, signal: signals.length > 0 ? AbortSignal.any(signals) : undefined });
+  } catch (error) {
+    // A cancelled request must stay cancelled, and a hung one shouldn't hang three more times.
+    if (error.name === 'AbortError') throw error;
+    if (error.name === 'TimeoutError') throw timeoutError(timeout);
+    if (retries > 0) {
+      // Network failure, retry with backoff
+      await sleep(delay, signal);
+      return fetchResponseWithBackoff(url, options, retries - 1, delay * 2);
+    }
+    throw error;
+  }
+
+  if (response.ok) return response;
+
+  if (RETRYABLE_STATUSES.has(response.status) && retries > 0) {
+    // Throttled or temporarily unavailable, retry with backoff
+    await sleep(retryAfterMs(response, delay), signal);
+    return fetchResponseWithBackoff(url, options, retries - 1, delay * 2);
+  }
+
+  let errorBody = null;
+  let detailedMessage = response.statusText;
+  try {
+    errorBody = await response.json();
+    detailedMessage = errorBody?.error?.message || detailedMessage;
+  } catch {
+    // Ignore if response body is not JSON or errors
+  }
+
+  console.error("API Error Response Body:", errorBody); // Log the full error
+  const error = new Error(`API Error: ${response.status} ${detailedMessage}`);
+  error.status = response.status;
+  throw error;
+};
+
+/**
+ * A wrapper for fetch that includes exponential backoff and parses the JSON body.
+ */
+export const fetchWithBackoff = async (url, options, retries, delay) => {
+  const response = await fetchResponseWithBackoff(url, options, retries, delay);
+  return response.json();
+};
+
+// Reads a streamed response body line by line.
+const readLines = async (response, onLine) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      if (error.name === 'TimeoutError') throw new Error('The response stream timed out. Please try again.');
+      throw error;
+    }
+    const { done, value } = chunk;
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+    if (done) return;
+  }
+};
+
+/**
+ * Reads a Server-Sent Events stream, calling onData with each parsed `data:` JSON payload.
+ */
+export const readEventStream = (response, onData) => readLines(response, (line) => {
+  if (!line.startsWith('data:')) return;
+  const payload = line.slice(5).trim();
+  if (payload && payload !== '[DONE]') onData(JSON.parse(payload));
+});
+
+/**
+ * Reads a newline-delimited JSON stream (one JSON object per line).
+ */
+export const readJsonLines = (response, onData) => readLines(response, (line) => onData(JSON.parse(line)));
@@ -0,0 +1,125 @@
+// --- API Key Storage ---
+// Where the active AI config (including its API key) lives between page loads:
+//   memory    - nowhere; the key is gone on refresh (the default)
+//   session   - sessionStorage, cleared when the browser tab closes
+//   encrypted - localStorage, with the key encrypted by a passphrase (PBKDF2 + AES-GCM)
+// The passphrase itself is never stored.
+
+const SESSION_KEY = 'naya-daur:ai-config';
+const ENCRYPTED_KEY = 'naya-daur:encrypted-ai-config';
+const PBKDF2_ITERATIONS = 250000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+export const KEY_STORAGE_OPTIONS = [
+  { id: 'memory', label: 'Don\'t remember (forgotten on refresh)' },
+  { id: 'session', label: 'Remember for this browser session' },
+  { id: 'encrypted', label: 'Remember on this device, encrypted with a passphrase' },
+];
+
+/**
+ * Shows just enough of a key to recognise it: "AIza…x9Qk".
+ */
+export const maskKey = (key = '') => {
+  if (key.length <= 8) return '•'.repeat(key.length);
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const readJson = (storage, key) => {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+// --- Session ---
+
+export const loadSessionConfig = () => readJson(sessionStorage, SESSION_KEY);
+
+// --- Encrypted ---
+
+/**
+ * The stored encrypted config, without decrypting it: { provider, maskedKey, savedAt, ... }.
+ */
+export const loadEncryptedConfig = () => readJson(localStorage, ENCRYPTED_KEY);
+
+/**
+ * Decrypts the stored config. Throws if the passphrase is wrong.
+ */
+export const unlockEncryptedConfig = async (passphrase) => {
+  const stored = loadEncryptedConfig();
+  if (!stored) throw new Error('No saved API key found.');
+  const key = await deriveKey(passphrase, fromBase64(stored.salt));
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.iv) }, key, fromBase64(stored.ciphertext));
+    return { ...stored.config, apiKey: new TextDecoder().decode(plaintext) };
+  } catch {
+    throw new Error('Incorrect passphrase.');
+  }
+};
+
+const saveEncryptedConfig = async (config, passphrase) => {
+  const { apiKey, ...rest } = config;
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+  localStorage.setItem(ENCRYPTED_KEY, JSON.stringify({
+    config: rest,
+    maskedKey: maskKey(apiKey),
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+    savedAt: Date.now(),
+  }));
+};
+
+/**
+ * Removes the key from every storage location.
+ */
+export const forgetStoredKey = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(ENCRYPTED_KEY);
+};
+
+/**
+ * Why the passphrase can't be used for the chosen option, or null if it can.
+ */
+export const passphraseError = (storage, passphrase = '') => (
+  storage === 'encrypted' && passphrase.length < MIN_PASSPHRASE_LENGTH
+    ? `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`
+    : null
+);
+
+/**
+ * Stores the config according to the chosen option. Other copies are cleared only once the
+ * new one is written, so a failed save leaves the previous key in place.
+ */
+export const storeAiConfig = async (config, storage = 'memory', passphrase = '') => {
+  const error = passphraseError(storage, passphrase);
+  if (error) throw new Error(error);
+  if (storage === 'session') {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(config));
+    localStorage.removeItem(ENCRYPTED_KEY);
+  } else if (storage === 'encrypted') {
+    await saveEncryptedConfig(config, passphrase);
+    sessionStorage.removeItem(SESSION_KEY);
+  } else {
+    forgetStoredKey();
+  }
+};
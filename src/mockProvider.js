@@ -0,0 +1,312 @@
+// --- Offline Mock Provider ---
+// Deterministic fixtures for demos, workshops and UI tests. Needs no network and no key.
+// Structured responses are picked by looking at the requested schema; anything the
+// fixtures don't cover is filled in generically from the schema itself.
+
+const MOCK_LATENCY_MS = 400;
+
+const MOCK_STREAM_CHUNK_MS = 40;
+
+// Resolves after `ms`, or rejects with an AbortError as soon as the signal fires.
+const wait = (ms, signal) => new Promise((res, rej) => {
+  if (signal?.aborted) {
+    rej(new DOMException('The operation was aborted.', 'AbortError'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    rej(new DOMException('The operation was aborted.', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    res();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const personaFixture = {
+  personas: [
+    {
+      name: "Priya Sharma",
+      age: 28,
+      role: "IT Professional & Daily Commuter",
+      demographic: "Urban, single, mid-income, lives in Andheri and commutes to BKC",
+      psychographics: ["Values time over money", "Early adopter of apps", "Eco-conscious but pragmatic"],
+      painPoints: ["Unreliable last-mile transport [1]", "Rising cab fares [2]", "Traffic-heavy monsoon commutes"],
+      motivators: ["Saving 30+ minutes a day", "Lower monthly travel spend", "Feeling independent"],
+      preferredChannels: ["Instagram", "YouTube", "LinkedIn"],
+      keyMessage: "Beat the traffic, not your budget — your commute, reclaimed.",
+      scores: { priceSensitivity: 85, digitalSavviness: 90, brandLoyalty: 35, earlyAdoption: 80, socialInfluence: 60 }
+    },
+    {
+      name: "Rajesh Patil",
+      age: 42,
+      role: "Small Business Owner",
+      demographic: "Married with two children, owns a hardware store in Thane",
+      psychographics: ["Cost-conscious", "Trusts word of mouth", "Family-first decision maker"],
+      painPoints: ["High fuel costs for deliveries [2]", "Vehicle maintenance downtime", "Parking near the shop"],
+      motivators: ["Lower running costs", "Durability", "Recommendations from peers"],
+      preferredChannels: ["WhatsApp", "Local newspapers", "Facebook"],
+      keyMessage: "Built to work as hard as you do — at a fraction of the running cost.",
+      scores: { priceSensitivity: 90, digitalSavviness: 45, brandLoyalty: 70, earlyAdoption: 30, socialInfluence: 55 }
+    },
+    {
+      name: "Ananya Iyer",
+      age: 20,
+      role: "College Student",
+      demographic: "Lives with parents in Dadar, part-time content creator",
+      psychographics: ["Trend-driven", "Socially aware", "Seeks self-expression"],
+      painPoints: ["Limited pocket money", "Crowded local trains", "Safety on late-night rides"],
+      motivators: ["Style and personalisation", "Freedom to move", "Sustainability credentials"],
+      preferredChannels: ["Instagram Reels", "Snapchat", "Spotify"],
+      keyMessage: "Your city, your rules — ride clean, ride loud.",
+      scores: { priceSensitivity: 75, digitalSavviness: 95, brandLoyalty: 30, earlyAdoption: 85, socialInfluence: 90 }
+    }
+  ]
+};
+
+// Returned when a single persona is regenerated.
+const regeneratedPersonaFixture = {
+  persona: {
+    name: "Kavita Menon",
+    age: 35,
+    role: "Working Parent & School-Run Driver",
+    demographic: "Married with one child, lives in Powai and works hybrid in Vikhroli",
+    psychographics: ["Safety-first", "Plans ahead", "Values reliability over novelty"],
+    painPoints: ["Short trips that still need the car [1]", "School-zone traffic at peak hours", "Fuel spend on errands [2]"],
+    motivators: ["Dependable daily errands", "Lower running costs", "Setting a greener example for her child"],
+    preferredChannels: ["WhatsApp groups", "Facebook", "YouTube"],
+    keyMessage: "Every errand, sorted — safely, quietly and for less.",
+    scores: { priceSensitivity: 70, digitalSavviness: 60, brandLoyalty: 65, earlyAdoption: 40, socialInfluence: 50 }
+  }
+};
+
+const marketFixture = {
+  culturalInsights: "Mumbai's consumers balance aspiration with value [3]. Convenience and time saved resonate strongly [1], and community endorsement carries more weight than brand advertising [3].",
+  culturalValueAlignment: [
+    { trait: "Aspiration", alignment: "High", implication: "Premium positioning is accepted when tied to status and progress." },
+    { trait: "Frugality", alignment: "Medium", implication: "Running-cost savings must be explicit in every message." },
+    { trait: "Community", alignment: "High", implication: "Referral and society-level programmes will accelerate adoption." }
+  ],
+  marketSentiment: {
+    summary: "Sentiment is broadly positive, driven by fuel savings, with concerns about charging infrastructure [2].",
+    positive: 62,
+    neutral: 25,
+    negative: 13
+  },
+  recommendations: [
+    "Lead with total cost of ownership versus petrol two-wheelers.",
+    "Partner with housing societies to install shared chargers.",
+    "Run monsoon-ready durability demonstrations.",
+    "Activate micro-influencers in commuter-heavy suburbs."
+  ],
+  performanceBenchmarks: [
+    { metric: "Brand Awareness", yourBrand: 38, industryAverage: 45, sources: [1] },
+    { metric: "Purchase Intent", yourBrand: 22, industryAverage: 19, sources: [1, 2] }
+  ],
+  consumerSentimentAnalysis: "Consumers praise low running costs and quiet rides, but frequently ask about battery life during monsoon and resale value [2].",
+  keyCulturalThemes: ["Jugaad-style smart savings", "Family safety", "Modern Mumbai pride"],
+  brandPerformanceRadar: [
+    { subject: "Innovation", A: 82, fullMark: 100 },
+    { subject: "Trust", A: 64, fullMark: 100 },
+    { subject: "Value", A: 71, fullMark: 100 },
+    { subject: "Design", A: 77, fullMark: 100 },
+    { subject: "Service", A: 55, fullMark: 100 }
+  ],
+  regionalPerformance: [
+    { region: "South Mumbai", sentiment: "Positive", summary: "Premium buyers respond to design and status." },
+    { region: "Andheri", sentiment: "Positive", summary: "Commuters value time savings." },
+    { region: "Thane", sentiment: "Neutral", summary: "Interest is high but charging access is a concern." },
+    { region: "Navi Mumbai", sentiment: "Negative", summary: "Service centre coverage is perceived as thin." }
+  ],
+  competitorBenchmarks: [
+    { metric: "Brand Awareness", yourBrand: 38, competitor1: 56, competitor2: 41, sources: [1] },
+    { metric: "Customer Satisfaction", yourBrand: 74, competitor1: 69, competitor2: 71, sources: [3] }
+  ]
+};
+
+const campaignFixture = {
+  strategy: "Position the brand as the smartest way to move through Mumbai, pairing cost savings with urban pride across digital-first channels.",
+  rationale: "Commuters feel the pain of traffic and fuel prices daily [1, 2]; a savings-led, pride-infused message speaks to both the head and the heart.",
+  citedInsights: [
+    "Modern Mumbai pride",
+    "Lead with total cost of ownership versus petrol two-wheelers."
+  ],
+  kpis: [
+    { metric: "Brand Awareness Lift", value: "5-8%" },
+    { metric: "Test Ride Bookings", value: "1,500-2,000" },
+    { metric: "Engagement Rate", value: "3-4%" }
+  ],
+  framework: {
+    coreMessage: "Move smarter. Mumbai is waiting.",
+    channelStrategy: "Instagram and YouTube for reach, WhatsApp for referrals, digital OOH at key stations.",
+    contentCalendar: "Teaser in week 1, launch films in weeks 2-3, referral push in weeks 4-6.",
+    riskMitigation: "Address charging anxiety with a visible charger map and a 30-day ride-back guarantee."
+  },
+  concepts: [
+    { id: 1, title: "Monsoon Ready", summary: "Show the scooter confidently riding through Mumbai's rains.", visualIdea: "A rider on a violet scooter splashing through a rain-soaked Marine Drive at dusk.", targetPersona: "Priya Sharma" },
+    { id: 2, title: "The 30-Minute Gift", summary: "Dramatise the time commuters win back every day.", visualIdea: "A giant gift-wrapped clock on a busy Mumbai street, a scooter beside it.", targetPersona: "Priya Sharma" },
+    { id: 3, title: "Society Charge", summary: "Neighbours sharing chargers in their housing society.", visualIdea: "A lively housing-society courtyard with scooters plugged into a shared charging hub.", targetPersona: "Rajesh Patil" },
+    { id: 4, title: "Fuel Bill Farewell", summary: "A humorous goodbye to petrol pump receipts.", visualIdea: "Receipts flying away like birds above a petrol station as a scooter zips past.", targetPersona: "Rajesh Patil" },
+    { id: 5, title: "Dabbawala Speed", summary: "Tip of the hat to Mumbai's legendary punctuality.", visualIdea: "A dabbawala-inspired delivery rider on a sleek scooter against a sunrise skyline.", targetPersona: "Ananya Iyer" },
+    { id: 6, title: "Quiet City", summary: "Imagine a calmer, quieter Mumbai.", visualIdea: "A serene early-morning Mumbai street with silent scooters and birdsong.", targetPersona: "Ananya Iyer" }
+  ]
+};
+
+const groundedTextFixture = `
+  Demo research notes (offline mock data).
+  Two-wheeler electrification in Mumbai is accelerating, driven by fuel prices and state incentives [1].
+  Commuters cite traffic and last-mile gaps; small businesses focus on running costs [2]; students value style and freedom.
+  Charging access in housing societies and monsoon durability are the most common objections [2, 3].
+`;
+
+// Demo sources behind the [n] markers above. They point nowhere real on purpose.
+const sourcesFixture = [
+  { id: 1, title: 'Demo: Urban EV adoption survey', uri: 'https://example.com/demo/ev-adoption-survey' },
+  { id: 2, title: 'Demo: Two-wheeler running cost study', uri: 'https://example.com/demo/running-costs' },
+  { id: 3, title: 'Demo: Mumbai consumer panel', uri: 'https://example.com/demo/consumer-panel' },
+];
+
+// Builds a plausible value for any Gemini-style schema.
+const sampleFromSchema = (schema, label = 'value') => {
+  switch (schema?.type) {
+    case 'OBJECT':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, prop]) => [key, sampleFromSchema(prop, key)])
+      );
+    case 'ARRAY':
+      return [sampleFromSchema(schema.items, label), sampleFromSchema(schema.items, label)];
+    case 'NUMBER':
+    case 'INTEGER':
+      return 50;
+    case 'BOOLEAN':
+      return true;
+    default:
+      return schema?.enum ? schema.enum[0] : `Sample ${label}`;
+  }
+};
+
+// Rough token counts (about four characters a token), so the Usage view has data in demos.
+const estimateUsage = (prompt, text) => {
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const outputTokens = Math.ceil(text.length / 4);
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+};
+
+// Fills any fields the schema asks for beyond the fixture's own (B2B, segment, translation).
+const withSchemaFields = (value, schema) => ({ ...sampleFromSchema(schema), ...value });
+
+// The persona fixtures, cycled to the requested number of personas.
+const fitPersonas = ({ items, minItems = personaFixture.personas.length }) => {
+  const pool = [...personaFixture.personas, regeneratedPersonaFixture.persona];
+  return {
+    personas: Array.from({ length: minItems }, (_, i) => {
+      const persona = pool[i % pool.length];
+      const round = Math.floor(i / pool.length);
+      return withSchemaFields(round > 0 ? { ...persona, name: `${persona.name} ${round + 1}` } : persona, items);
+    }),
+  };
+};
+
+// An in-character persona chat reply.
+const chatReplyFixture = {
+  reply: "Honestly, it sounds useful, but I'd need to see the real monthly cost before I believe the savings. Can I test ride one near my office first?",
+  reaction: "Neutral",
+  objections: ["Unclear total cost of ownership", "Wants a test ride before committing"],
+  purchaseLikelihood: 55,
+};
+
+const focusGroupQuotes = {
+  Positive: "This speaks to me. I'd want to try it this week.",
+  Neutral: "It's interesting, but I'd need to know more before I change anything.",
+  Negative: "This isn't for someone like me, and the cost still worries me.",
+};
+
+// A focus group over whichever concepts and personas the schema names, with appeal scores
+// that vary by concept and persona.
+const fitFocusGroup = ({ concepts }) => {
+  const titles = concepts.items.properties.title.enum || [];
+  const names = concepts.items.properties.reactions.items.properties.persona.enum || [];
+  return {
+    concepts: titles.map((title, i) => ({
+      title,
+      reactions: names.map((persona, j) => {
+        const appeal = 25 + ((i * 37 + j * 23) % 70);
+        const sentiment = appeal >= 65 ? 'Positive' : appeal >= 45 ? 'Neutral' : 'Negative';
+        return { persona, reaction: focusGroupQuotes[sentiment], sentiment, appeal };
+      }),
+    })),
+    summary: "Savings-led concepts land across the group; lifestyle concepts split it by age and income.",
+    agreement: ["Everyone wants running costs spelled out", "A free test ride lowers the barrier for all personas"],
+    disagreement: ["Younger personas prefer aspirational imagery; family buyers find it frivolous"],
+  };
+};
+
+const pickFixture = (schema) => {
+  const properties = schema?.properties || {};
+  if (properties.purchaseLikelihood) return chatReplyFixture;
+  if (properties.agreement) return fitFocusGroup(properties);
+  if (properties.personas) return fitPersonas(properties.personas);
+  if (properties.persona) return { persona: withSchemaFields(regeneratedPersonaFixture.persona, properties.persona) };
+  if (properties.culturalInsights) return marketFixture;
+  if (properties.strategy) return campaignFixture;
+  return sampleFromSchema(schema);
+};
+
+// Simple branded SVG placeholder, returned as a base64 data URL like the real providers.
+const placeholderImage = (index) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024" viewBox="0 0 1024 1024">
+  <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+    <stop offset="0" stop-color="#7A5CFA"/><stop offset="1" stop-color="#1E1A3D"/>
+  </linearGradient></defs>
+  <rect width="1024" height="1024" fill="url(#g)"/>
+  <text x="512" y="500" font-family="sans-serif" font-size="64" fill="#FFFFFF" text-anchor="middle">Naya Daur</text>
+  <text x="512" y="580" font-family="sans-serif" font-size="36" fill="#D9D4E7" text-anchor="middle">Demo image ${index + 1}</text>
+</svg>`;
+  return `data:image/svg+xml;base64,${btoa(svg)}`;
+};
+
+export const mockProvider = {
+  id: 'mock',
+  label: 'Demo Mode (offline)',
+  hidden: true, // Toggled from the Welcome screen rather than picked from the provider list
+  requiresKey: false,
+  supportsGrounding: false,
+  supportsImages: true,
+  defaults: {
+    baseUrl: '',
+    model: 'mock',
+    imageModel: 'mock',
+  },
+
+  async groundedText(config, prompt, { signal } = {}) {
+    await wait(MOCK_LATENCY_MS, signal);
+    return { text: groundedTextFixture, sources: sourcesFixture, usage: estimateUsage(prompt, groundedTextFixture) };
+  },
+
+  // Replays the research notes word by word, so streaming UI can be demoed offline.
+  async streamGroundedText(config, prompt, { signal, onText } = {}) {
+    let text = '';
+    for (const word of groundedTextFixture.split(/(?<=\s)/)) {
+      await wait(MOCK_STREAM_CHUNK_MS, signal);
+      text += word;
+      onText?.(text);
+    }
+    return { text, sources: sourcesFixture, usage: estimateUsage(prompt, text) };
+  },
+
+  async structuredJson(config, prompt, schema, { signal } = {}) {
+    await wait(MOCK_LATENCY_MS, signal);
+    const text = JSON.stringify(pickFixture(schema));
+    return { text, usage: estimateUsage(prompt, text) };
+  },
+
+  async listModels() {
+    return { models: ['mock'] };
+  },
+
+  async images(config, prompt, sampleCount, { signal } = {}) {
+    await wait(MOCK_LATENCY_MS, signal);
+    return { images: Array.from({ length: sampleCount }, (_, i) => placeholderImage(i)) };
+  },
+};
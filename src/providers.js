@@ -0,0 +1,344 @@
+import { STREAM_TIMEOUT_MS, VALIDATION_TIMEOUT_MS, fetchWithBackoff, fetchResponseWithBackoff, readEventStream, readJsonLines } from './http.js';
+import { mockProvider } from './mockProvider.js';
+import { proxyProvider } from './proxyProvider.js';
+import { applyGroundingMetadata } from './citations.js';
+
+// --- LLM Provider Layer ---
+// Every provider maps the same contract onto its own backend:
+//   groundedText(config, prompt, { signal })                 -> { text, sources?, usage? }
+//   streamGroundedText(config, prompt, { signal, onText })   -> { text, sources?, usage? } (optional)
+//   structuredJson(config, prompt, schema, { signal })       -> { text, usage? } (text is a JSON string)
+//   images(config, prompt, sampleCount, { signal })          -> { images } (data URLs)
+//   listModels(config, { signal })                           -> { models } (cheap key/endpoint check)
+// A provider may instead implement the whole pipeline as
+//   groundedJson(config, prompt, schema, { signal, onStatus, onText, onUsage }) -> parsed JSON
+// (the server proxy does, see proxyProvider.js).
+// onText receives the full text accumulated so far each time a chunk arrives.
+// Grounded providers return their web sources as [{ id, title, uri }], with matching
+// [n] markers in the text (see citations.js).
+// usage is the call's token count, { promptTokens, outputTokens, totalTokens }, where the
+// backend reports one.
+// Schemas are written in the Gemini style (type: "OBJECT", ...) and converted
+// for backends that expect plain JSON Schema.
+
+const jsonPost = (body, { headers = {}, signal, timeout } = {}) => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+  signal,
+  timeout,
+});
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const tokenUsage = (promptTokens = 0, outputTokens = 0, totalTokens = promptTokens + outputTokens) => (
+  { promptTokens, outputTokens, totalTokens }
+);
+
+// Gemini reports usageMetadata on every response (and on the last chunks of a stream).
+const geminiUsage = (metadata) => metadata
+  && tokenUsage(metadata.promptTokenCount, metadata.candidatesTokenCount, metadata.totalTokenCount);
+
+const openAiUsage = (usage) => usage && tokenUsage(usage.prompt_tokens, usage.completion_tokens, usage.total_tokens);
+
+// Ollama only counts tokens on the final (done) message.
+const ollamaUsage = (data) => data?.done ? tokenUsage(data.prompt_eval_count, data.eval_count) : undefined;
+
+/**
+ * Converts a Gemini-style schema (upper-case types) into standard JSON Schema.
+ */
+export const toJsonSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type') {
+      converted.type = String(value).toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)])
+      );
+    } else if (key === 'items') {
+      converted.items = toJsonSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  requiresKey: true,
+  supportsGrounding: true,
+  supportsImages: true,
+  defaults: {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-2.5-flash-preview-09-2025',
+    imageModel: 'imagen-4.0-generate-001',
+  },
+
+  async groundedText(config, prompt, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/models/${config.model}:generateContent?key=${config.apiKey}`,
+      jsonPost({
+        contents: [{ parts: [{ text: prompt }] }],
+        tools: [{ "google_search": {} }],
+      }, { signal })
+    );
+    const candidate = data.candidates?.[0];
+    const text = candidate?.content?.parts?.map((part) => part.text || '').join('');
+    return { ...applyGroundingMetadata(text, candidate?.groundingMetadata), usage: geminiUsage(data.usageMetadata) };
+  },
+
+  async streamGroundedText(config, prompt, { signal, onText } = {}) {
+    const response = await fetchResponseWithBackoff(
+      `${trimSlash(config.baseUrl)}/models/${config.model}:streamGenerateContent?alt=sse&key=${config.apiKey}`,
+      jsonPost({
+        contents: [{ parts: [{ text: prompt }] }],
+        tools: [{ "google_search": {} }],
+      }, { signal, timeout: STREAM_TIMEOUT_MS })
+    );
+    let text = '';
+    let groundingMetadata = null;
+    let usageMetadata = null;
+    await readEventStream(response, (chunk) => {
+      const candidate = chunk.candidates?.[0];
+      // Grounding and usage metadata arrive with the final chunks; the latest one is complete.
+      groundingMetadata = candidate?.groundingMetadata || groundingMetadata;
+      usageMetadata = chunk.usageMetadata || usageMetadata;
+      text += (candidate?.content?.parts || []).map((part) => part.text || '').join('');
+      onText?.(text);
+    });
+    const grounded = applyGroundingMetadata(text, groundingMetadata);
+    if (grounded.sources.length > 0) onText?.(grounded.text);
+    return { ...grounded, usage: geminiUsage(usageMetadata) };
+  },
+
+  async structuredJson(config, prompt, schema, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/models/${config.model}:generateContent?key=${config.apiKey}`,
+      jsonPost({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: schema
+        }
+      }, { signal })
+    );
+    return { text: data.candidates?.[0]?.content?.parts?.[0]?.text, usage: geminiUsage(data.usageMetadata) };
+  },
+
+  async listModels(config, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/models?pageSize=1&key=${config.apiKey}`,
+      { signal, timeout: VALIDATION_TIMEOUT_MS },
+      0
+    );
+    return { models: (data.models || []).map((model) => model.name) };
+  },
+
+  async images(config, prompt, sampleCount, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/models/${config.imageModel}:predict?key=${config.apiKey}`,
+      jsonPost({
+        instances: [{ prompt }],
+        parameters: { sampleCount }
+      }, { signal })
+    );
+    return {
+      images: (data.predictions || []).map(
+        (pred) => `data:image/png;base64,${pred.bytesBase64Encoded}`
+      ),
+    };
+  },
+};
+
+const openAiProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  requiresKey: true,
+  supportsGrounding: false,
+  supportsImages: true,
+  defaults: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    imageModel: 'gpt-image-1',
+  },
+
+  async groundedText(config, prompt, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/chat/completions`,
+      jsonPost(
+        { model: config.model, messages: [{ role: 'user', content: prompt }] },
+        { headers: { Authorization: `Bearer ${config.apiKey}` }, signal }
+      )
+    );
+    return { text: data.choices?.[0]?.message?.content, usage: openAiUsage(data.usage) };
+  },
+
+  async streamGroundedText(config, prompt, { signal, onText } = {}) {
+    const response = await fetchResponseWithBackoff(
+      `${trimSlash(config.baseUrl)}/chat/completions`,
+      jsonPost(
+        {
+          model: config.model,
+          messages: [{ role: 'user', content: prompt }],
+          stream: true,
+          stream_options: { include_usage: true }, // Token counts arrive in a final, choice-less chunk
+        },
+        { headers: { Authorization: `Bearer ${config.apiKey}` }, signal, timeout: STREAM_TIMEOUT_MS }
+      )
+    );
+    let text = '';
+    let usage;
+    await readEventStream(response, (chunk) => {
+      usage = openAiUsage(chunk.usage) || usage;
+      text += chunk.choices?.[0]?.delta?.content || '';
+      onText?.(text);
+    });
+    return { text, usage };
+  },
+
+  async structuredJson(config, prompt, schema, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/chat/completions`,
+      jsonPost(
+        {
+          model: config.model,
+          messages: [{ role: 'user', content: prompt }],
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: toJsonSchema(schema) },
+          },
+        },
+        { headers: { Authorization: `Bearer ${config.apiKey}` }, signal }
+      )
+    );
+    return { text: data.choices?.[0]?.message?.content, usage: openAiUsage(data.usage) };
+  },
+
+  async listModels(config, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/models`,
+      { headers: { Authorization: `Bearer ${config.apiKey}` }, signal, timeout: VALIDATION_TIMEOUT_MS },
+      0
+    );
+    return { models: (data.data || []).map((model) => model.id) };
+  },
+
+  async images(config, prompt, sampleCount, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/images/generations`,
+      jsonPost(
+        { model: config.imageModel, prompt, n: sampleCount },
+        { headers: { Authorization: `Bearer ${config.apiKey}` }, signal }
+      )
+    );
+    return {
+      images: (data.data || []).map((img) =>
+        img.b64_json ? `data:image/png;base64,${img.b64_json}` : img.url
+      ),
+    };
+  },
+};
+
+// Local servers (Ollama, or anything speaking its /api/chat dialect).
+// llama.cpp's server speaks the OpenAI dialect, so point the OpenAI provider at it instead.
+const ollamaProvider = {
+  id: 'ollama',
+  label: 'Local (Ollama)',
+  requiresKey: false,
+  supportsGrounding: false,
+  supportsImages: false,
+  defaults: {
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1',
+    imageModel: '',
+  },
+
+  async groundedText(config, prompt, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/api/chat`,
+      jsonPost({ model: config.model, messages: [{ role: 'user', content: prompt }], stream: false }, { signal })
+    );
+    return { text: data.message?.content, usage: ollamaUsage(data) };
+  },
+
+  // No key to check, but this confirms the local server is up.
+  async listModels(config, { signal } = {}) {
+    const data = await fetchWithBackoff(`${trimSlash(config.baseUrl)}/api/tags`, { signal, timeout: VALIDATION_TIMEOUT_MS }, 0);
+    return { models: (data.models || []).map((model) => model.name) };
+  },
+
+  async streamGroundedText(config, prompt, { signal, onText } = {}) {
+    const response = await fetchResponseWithBackoff(
+      `${trimSlash(config.baseUrl)}/api/chat`,
+      jsonPost({ model: config.model, messages: [{ role: 'user', content: prompt }], stream: true }, { signal, timeout: STREAM_TIMEOUT_MS })
+    );
+    let text = '';
+    let usage;
+    await readJsonLines(response, (chunk) => {
+      usage = ollamaUsage(chunk) || usage;
+      text += chunk.message?.content || '';
+      onText?.(text);
+    });
+    return { text, usage };
+  },
+
+  async structuredJson(config, prompt, schema, { signal } = {}) {
+    const data = await fetchWithBackoff(
+      `${trimSlash(config.baseUrl)}/api/chat`,
+      jsonPost({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        format: toJsonSchema(schema),
+        stream: false,
+      }, { signal })
+    );
+    return { text: data.message?.content, usage: ollamaUsage(data) };
+  },
+};
+
+export const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openAiProvider,
+  ollama: ollamaProvider,
+  proxy: proxyProvider,
+  mock: mockProvider,
+};
+
+const env = import.meta.env || {};
+
+/**
+ * Builds a full provider config, filling anything left blank from the provider defaults.
+ */
+export const resolveAiConfig = (config = {}) => {
+  const provider = PROVIDERS[config.provider] || geminiProvider;
+  return {
+    provider: provider.id,
+    apiKey: config.apiKey || '',
+    baseUrl: config.baseUrl || provider.defaults.baseUrl,
+    model: config.model || provider.defaults.model,
+    imageModel: config.imageModel || provider.defaults.imageModel,
+    user: config.user || '', // Only sent to the server proxy, for its usage log
+  };
+};
+
+export const isDemoMode = (config) => config?.provider === mockProvider.id;
+
+// Initial config; VITE_AI_* variables let a deployment pick the backend up front,
+// and VITE_DEMO_MODE=true starts the app on the offline mock provider.
+export const DEFAULT_AI_CONFIG = resolveAiConfig({
+  provider: env.VITE_DEMO_MODE === 'true' ? mockProvider.id : env.VITE_AI_PROVIDER,
+  baseUrl: env.VITE_AI_BASE_URL,
+  model: env.VITE_AI_MODEL,
+  imageModel: env.VITE_AI_IMAGE_MODEL,
+});
+
+export const getProvider = (config) => PROVIDERS[config?.provider] || geminiProvider;
+
+export const isAiConfigured = (config) => {
+  if (!config) return false;
+  return !getProvider(config).requiresKey || Boolean(config.apiKey);
+};
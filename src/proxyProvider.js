@@ -0,0 +1,106 @@
+import { DEFAULT_TIMEOUT_MS, STREAM_TIMEOUT_MS, VALIDATION_TIMEOUT_MS, fetchWithBackoff, fetchResponseWithBackoff, readJsonLines } from './http.js';
+
+// --- Server Proxy Provider ---
+// Talks to the Naya Daur proxy (server/proxy.js), which holds the real API key and runs the
+// whole grounded-JSON pipeline server-side. The browser only ever sends prompts and schemas.
+// The proxy's shared access token takes the place of an API key (config.apiKey) and is sent
+// as a bearer token. config.user is sent as X-Naya-User so the proxy can log usage per person.
+
+const trimSlash = (url) => (url || '').replace(/\/+$/, '');
+
+// The server's own limits plus headroom for the hop to the proxy, so the browser never gives
+// up on a job the server would still finish. A grounded job is the research stream, then the
+// structuring call and its repair attempt; retried attempts on the server can still run longer.
+const PROXY_MARGIN_MS = 30000;
+const PROXY_CALL_TIMEOUT_MS = DEFAULT_TIMEOUT_MS + PROXY_MARGIN_MS;
+const PROXY_STREAM_TIMEOUT_MS = STREAM_TIMEOUT_MS + 2 * DEFAULT_TIMEOUT_MS + PROXY_MARGIN_MS;
+
+const proxyHeaders = (config) => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${config.apiKey}`,
+  ...(config.user ? { 'X-Naya-User': config.user } : {}),
+});
+
+export const proxyProvider = {
+  id: 'proxy',
+  label: 'Server proxy',
+  requiresKey: true,
+  keyLabel: 'access token',
+  supportsGrounding: true, // Whatever the server's provider supports; Gemini by default
+  supportsImages: true,
+  serverManaged: true, // Key and models are configured on the server
+  defaults: {
+    baseUrl: '', // Same origin as the app
+    model: 'server default',
+    imageModel: 'server default',
+  },
+
+  /**
+   * The full two-step pipeline in one call. Progress arrives as NDJSON events:
+   * status (step message), delta/text (research notes), usage (one per model call),
+   * result (final JSON) or error.
+   */
+  async groundedJson(config, prompt, schema, { signal, onStatus, onText, onUsage } = {}) {
+    const response = await fetchResponseWithBackoff(`${trimSlash(config.baseUrl)}/api/grounded-json`, {
+      method: 'POST',
+      headers: proxyHeaders(config),
+      body: JSON.stringify({ prompt, schema }),
+      signal,
+      timeout: PROXY_STREAM_TIMEOUT_MS,
+    });
+
+    let text = '';
+    let result = null;
+    await readJsonLines(response, (event) => {
+      switch (event.type) {
+        case 'status':
+          onStatus?.(event.message);
+          break;
+        case 'delta':
+        case 'text':
+          text = event.type === 'delta' ? text + event.text : event.text;
+          onText?.(text);
+          break;
+        case 'usage':
+          onUsage?.(event.usage);
+          break;
+        case 'result':
+          result = event.data;
+          break;
+        case 'error':
+          throw new Error(event.message);
+        default:
+          break;
+      }
+    });
+    if (!result) throw new Error('The proxy closed the connection before returning a result.');
+    return result;
+  },
+
+  // A single structured call (no research); the browser validates the result itself.
+  async structuredJson(config, prompt, schema, { signal } = {}) {
+    return fetchWithBackoff(`${trimSlash(config.baseUrl)}/api/structured-json`, {
+      method: 'POST',
+      headers: proxyHeaders(config),
+      body: JSON.stringify({ prompt, schema }),
+      signal,
+      timeout: PROXY_CALL_TIMEOUT_MS,
+    });
+  },
+
+  async images(config, prompt, sampleCount, { signal } = {}) {
+    return fetchWithBackoff(`${trimSlash(config.baseUrl)}/api/images`, {
+      method: 'POST',
+      headers: proxyHeaders(config),
+      body: JSON.stringify({ prompt, sampleCount }),
+      signal,
+      timeout: PROXY_CALL_TIMEOUT_MS,
+    });
+  },
+
+  // Confirms the proxy is reachable and its own key works.
+  async listModels(config, { signal } = {}) {
+    const data = await fetchWithBackoff(`${trimSlash(config.baseUrl)}/api/health`, { headers: proxyHeaders(config), signal, timeout: VALIDATION_TIMEOUT_MS }, 0);
+    return { models: [data.model] };
+  },
+};
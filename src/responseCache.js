@@ -0,0 +1,46 @@
+import { withStore } from './db.js';
+
+// --- Response Cache ---
+// Grounded responses cached in IndexedDB, keyed by a SHA-256 hash of provider, endpoint,
+// model, prompt and schema, so re-running a tool with identical inputs costs nothing.
+// Cache failures never fail a request; they just mean a fresh call.
+
+export const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// IndexedDB only exists in the browser (the server proxy shares this code).
+const isAvailable = () => typeof indexedDB !== 'undefined';
+
+export const cacheKey = async ({ provider, baseUrl, model, prompt, schema }) => {
+  const text = JSON.stringify([provider, baseUrl, model, prompt, schema]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Returns { value, createdAt } for a fresh entry, or null. Expired entries are removed.
+ */
+export const readCache = async (key) => {
+  if (!isAvailable()) return null;
+  try {
+    const entry = await withStore('responses', 'readonly', (store) => store.get(key));
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      await withStore('responses', 'readwrite', (store) => store.delete(key));
+      return null;
+    }
+    return entry;
+  } catch (err) {
+    console.warn('Response cache unavailable:', err);
+    return null;
+  }
+};
+
+export const writeCache = async (key, value, ttl = CACHE_TTL_MS) => {
+  if (!isAvailable()) return;
+  try {
+    const now = Date.now();
+    await withStore('responses', 'readwrite', (store) => store.put({ key, value, createdAt: now, expiresAt: now + ttl }));
+  } catch (err) {
+    console.warn('Response could not be cached:', err);
+  }
+};
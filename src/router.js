@@ -0,0 +1,47 @@
+// --- Hash Routing ---
+// The active tab lives in the URL hash, so back/forward work and any view can be linked:
+//   #/forge                                    a tab
+//   #/analyzer/run/<runId>                     a saved run, opened in its tool's tab
+//   #/persona?product=E-Scooters&location=Mumbai   a tab with its inputs pre-filled
+// Saved runs live in this browser's workspace, so a run link only opens where the run is stored.
+
+export const TAB_IDS = ['welcome', 'persona', 'analyzer', 'forge', 'usage', 'pricing', 'about'];
+
+export const DEFAULT_TAB = 'welcome';
+
+/**
+ * Parses a location hash into { tab, runId, query }. Unknown tabs, and paths that aren't
+ * valid percent-encoding, fall back to the default.
+ */
+export const parseRoute = (hash = '') => {
+  const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+  let parts;
+  try {
+    parts = path.split('/').map((part) => decodeURIComponent(part));
+  } catch {
+    return { tab: DEFAULT_TAB, runId: null, query: {} };
+  }
+  const [tab, section, runId] = parts;
+  return {
+    tab: TAB_IDS.includes(tab) ? tab : DEFAULT_TAB,
+    runId: section === 'run' && runId ? runId : null,
+    query: Object.fromEntries(new URLSearchParams(queryString)),
+  };
+};
+
+export const buildRoute = ({ tab = DEFAULT_TAB, runId = null, query = {} } = {}) => {
+  const path = runId ? `#/${tab}/run/${encodeURIComponent(runId)}` : `#/${tab}`;
+  const queryString = new URLSearchParams(query).toString();
+  return queryString ? `${path}?${queryString}` : path;
+};
+
+/**
+ * Overrides a tool's text inputs with same-named query parameters. Parameters the tool
+ * doesn't have, and non-text inputs (lists, linked runs), are ignored.
+ */
+export const applyQueryInputs = (inputs, query = {}) => ({
+  ...inputs,
+  ...Object.fromEntries(
+    Object.entries(query).filter(([key]) => typeof inputs[key] === 'string')
+  ),
+});
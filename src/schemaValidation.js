@@ -0,0 +1,134 @@
+// --- Schema Validation & Repair ---
+// Checks model output against the Gemini-style schemas the tabs already declare,
+// repairing what can be repaired safely:
+//   - numbers sent as strings ("45%", "1,200", "$30") are coerced to numbers
+//   - numbers/booleans in string fields are stringified
+//   - enum values are matched case-insensitively
+//   - missing optional arrays default to []
+// Anything else (missing required fields, wrong shapes, arrays outside minItems/maxItems,
+// numbers outside minimum/maximum) is reported as an error.
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const coerceNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+  }
+  return null;
+};
+
+const validateNode = (value, schema, path, errors) => {
+  switch (schema?.type) {
+    case 'OBJECT': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} should be an object but was ${describe(value)}`);
+        return value;
+      }
+      const required = schema.required || [];
+      const repaired = { ...value };
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        const propPath = `${path}.${key}`;
+        if (repaired[key] === undefined || repaired[key] === null) {
+          if (required.includes(key)) {
+            errors.push(`${propPath} is required`);
+          } else if (propSchema.type === 'ARRAY') {
+            repaired[key] = [];
+          }
+          continue;
+        }
+        repaired[key] = validateNode(repaired[key], propSchema, propPath, errors);
+      }
+      return repaired;
+    }
+
+    case 'ARRAY': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} should be an array but was ${describe(value)}`);
+        return value;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} should have at least ${schema.minItems} items but had ${value.length}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} should have at most ${schema.maxItems} items but had ${value.length}`);
+      }
+      return value.map((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+    }
+
+    case 'NUMBER':
+    case 'INTEGER': {
+      const number = coerceNumber(value);
+      if (number === null) {
+        errors.push(`${path} should be a number but was ${JSON.stringify(value)}`);
+        return value;
+      }
+      const result = schema.type === 'INTEGER' ? Math.round(number) : number;
+      if (schema.minimum !== undefined && result < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum} but was ${result}`);
+      }
+      if (schema.maximum !== undefined && result > schema.maximum) {
+        errors.push(`${path} should be at most ${schema.maximum} but was ${result}`);
+      }
+      return result;
+    }
+
+    case 'BOOLEAN': {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      errors.push(`${path} should be a boolean but was ${JSON.stringify(value)}`);
+      return value;
+    }
+
+    case 'STRING': {
+      let text = value;
+      if (typeof text === 'number' || typeof text === 'boolean') {
+        text = String(text);
+      } else if (typeof text !== 'string') {
+        errors.push(`${path} should be a string but was ${describe(value)}`);
+        return value;
+      }
+      if (schema.enum) {
+        const match = schema.enum.find((option) => option.toLowerCase() === text.trim().toLowerCase());
+        if (!match) {
+          errors.push(`${path} should be one of ${schema.enum.join(', ')} but was "${text}"`);
+          return text;
+        }
+        return match;
+      }
+      return text;
+    }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validates (and where safe, repairs) a parsed value against a Gemini-style schema.
+ * Returns { value, errors } — `value` is the repaired copy, `errors` is empty when valid.
+ */
+export const validateAgainstSchema = (value, schema) => {
+  const errors = [];
+  const repaired = validateNode(value, schema, '$', errors);
+  return { value: repaired, errors };
+};
+
+/**
+ * Parses raw model text as JSON, then validates it. Parse failures come back as errors too.
+ */
+export const parseAndValidate = (jsonText, schema) => {
+  let parsed;
+  try {
+    // Some backends wrap JSON in a markdown fence even when asked not to.
+    parsed = JSON.parse(jsonText.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (err) {
+    return { value: null, errors: [`Response was not valid JSON (${err.message})`] };
+  }
+  return validateAgainstSchema(parsed, schema);
+};
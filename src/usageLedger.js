@@ -0,0 +1,51 @@
+import { withStore } from './db.js';
+
+// --- Usage Ledger (IndexedDB) ---
+// Every model call the app makes, recorded locally so usage can be compared with plan quotas.
+// An entry looks like:
+//   { id, projectId, tool, kind, provider, model, promptTokens, outputTokens, totalTokens, images, createdAt }
+// kind is 'text' (a research or structuring call) or 'image' (one image generation request).
+
+// Published list prices in USD: per million input/output tokens, or per image. Models are
+// matched by prefix; anything unlisted (local models, the demo provider) is estimated at zero.
+export const MODEL_PRICING = [
+  { prefix: 'gemini-2.5-flash', input: 0.30, output: 2.50 },
+  { prefix: 'gemini-2.5-pro', input: 1.25, output: 10.00 },
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+  { prefix: 'gpt-4o', input: 2.50, output: 10.00 },
+  { prefix: 'imagen-4.0', perImage: 0.04 },
+  { prefix: 'gpt-image-1', perImage: 0.04 },
+];
+
+const pricingFor = (model = '') => MODEL_PRICING.find((price) => model.startsWith(price.prefix));
+
+/**
+ * Estimated cost of one ledger entry in USD (0 when the model has no listed price).
+ */
+export const estimateCost = (entry) => {
+  const price = pricingFor(entry.model);
+  if (!price) return 0;
+  if (entry.kind === 'image') return (entry.images || 0) * (price.perImage || 0);
+  return ((entry.promptTokens || 0) * (price.input || 0) + (entry.outputTokens || 0) * (price.output || 0)) / 1e6;
+};
+
+// A ledger that can't be written must never fail the request it describes.
+export const recordUsage = async ({ projectId = null, tool, kind, provider, model, promptTokens = 0, outputTokens = 0, totalTokens = 0, images = 0 }) => {
+  const entry = { id: crypto.randomUUID(), projectId, tool, kind, provider, model, promptTokens, outputTokens, totalTokens, images, createdAt: Date.now() };
+  try {
+    await withStore('usage', 'readwrite', (store) => store.put(entry));
+  } catch (err) {
+    console.warn('Usage could not be recorded:', err);
+  }
+  return entry;
+};
+
+/**
+ * Ledger entries, oldest first: for one project, or for all projects when projectId is omitted.
+ */
+export const listUsage = async (projectId) => {
+  const entries = await withStore('usage', 'readonly', (store) => (
+    projectId ? store.index('projectId').getAll(projectId) : store.getAll()
+  ));
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
@@ -0,0 +1,83 @@
+import { withStore } from './db.js';
+
+// --- Project Workspace (IndexedDB) ---
+// Saved runs of Persona Architect, Market Analyzer and Campaign Forge, grouped by project.
+// A run looks like:
+//   { id, projectId, tool, name, inputs, output, provider, model, createdAt, updatedAt }
+
+const ACTIVE_PROJECT_KEY = 'naya-daur:active-project';
+
+export const TOOL_LABELS = {
+  persona: 'Persona Architect',
+  analyzer: 'Market Analyzer',
+  forge: 'Campaign Forge',
+};
+
+const newId = () => crypto.randomUUID();
+
+// --- Projects ---
+
+export const listProjects = async () => {
+  const projects = await withStore('projects', 'readonly', (store) => store.getAll());
+  return projects.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const createProject = async (name) => {
+  const project = { id: newId(), name, createdAt: Date.now() };
+  await withStore('projects', 'readwrite', (store) => store.put(project));
+  return project;
+};
+
+/**
+ * Returns the project the user last worked in, creating a first project if none exist.
+ */
+export const getActiveProject = async () => {
+  const projects = await listProjects();
+  const savedId = localStorage.getItem(ACTIVE_PROJECT_KEY);
+  const project = projects.find((p) => p.id === savedId) || projects[0] || await createProject('My First Project');
+  localStorage.setItem(ACTIVE_PROJECT_KEY, project.id);
+  return project;
+};
+
+export const setActiveProjectId = (projectId) => {
+  localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+};
+
+// --- Runs ---
+
+export const listRuns = async (projectId, tool) => {
+  const runs = await withStore('runs', 'readonly', (store) => store.index('projectId').getAll(projectId));
+  return runs
+    .filter((run) => !tool || run.tool === tool)
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getRun = (id) => withStore('runs', 'readonly', (store) => store.get(id));
+
+export const saveRun = async ({ projectId, tool, name, inputs, output, provider, model }) => {
+  const now = Date.now();
+  const run = { id: newId(), projectId, tool, name, inputs, output, provider, model, createdAt: now, updatedAt: now };
+  await withStore('runs', 'readwrite', (store) => store.put(run));
+  return run;
+};
+
+export const updateRun = async (id, changes) => {
+  const run = await getRun(id);
+  if (!run) throw new Error('Saved run not found.');
+  const updated = { ...run, ...changes, id, updatedAt: Date.now() };
+  await withStore('runs', 'readwrite', (store) => store.put(updated));
+  return updated;
+};
+
+export const renameRun = (id, name) => updateRun(id, { name });
+
+export const duplicateRun = async (id) => {
+  const run = await getRun(id);
+  if (!run) throw new Error('Saved run not found.');
+  const now = Date.now();
+  const copy = { ...run, id: newId(), name: `${run.name} (copy)`, createdAt: now, updatedAt: now };
+  await withStore('runs', 'readwrite', (store) => store.put(copy));
+  return copy;
+};
+
+export const deleteRun = (id) => withStore('runs', 'readwrite', (store) => store.delete(id));
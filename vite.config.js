@@ -1,7 +1,9 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { nayaProxyPlugin } from './server/proxy.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  // NAYA_AI_* variables configure the server-side proxy and are never exposed to the client.
+  plugins: [react(), nayaProxyPlugin(loadEnv(mode, process.cwd(), 'NAYA_'))],
+}))